@@ -1,5 +1,11 @@
 // src/App.jsx
-import React, { useEffect, useState, useMemo } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useState,
+  useMemo,
+  useRef,
+} from "react";
 import {
   Search,
   MapPin,
@@ -20,6 +26,16 @@ import {
   Share2,
   Settings,
   LogOut,
+  Plus,
+  Pause,
+  Play,
+  RefreshCw,
+  CloudOff,
+  Lock,
+  Calendar,
+  MessageSquare,
+  Paperclip,
+  Send,
 } from "lucide-react";
 
 /**
@@ -41,11 +57,274 @@ const API_BASE =
     ? "https://your-api-domain.com"
     : "http://localhost:5000";
 
+////////////////////////////////////////////////////////////////////////////////
+// API errors
+////////////////////////////////////////////////////////////////////////////////
+// Every failure from apiClient is an ApiError. `status` is 0 when no response
+// arrived (network failure, server down); `payload` is the parsed body.
+class ApiError extends Error {
+  constructor(message, { status = 0, endpoint = "", payload = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.endpoint = endpoint;
+    this.payload = payload;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+
+  get isServerError() {
+    return this.status >= 500;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  get isForbidden() {
+    return this.status === 403;
+  }
+}
+
+// Network failures and 5xx mean the server is unavailable, so callers fall
+// back to local data. A 4xx is a real answer and is reported instead.
+const canFallBackLocally = (err) =>
+  !(err instanceof ApiError) || err.isNetworkError || err.isServerError;
+
+const describeError = (err, action) => {
+  if (err instanceof ApiError && err.isNetworkError) {
+    return `${action} failed: can't reach the server. Check your connection.`;
+  }
+  if (err instanceof ApiError && err.isServerError) {
+    return `${action} failed: server error (${err.status}). Please try again.`;
+  }
+  return `${action} failed: ${err.message || String(err)}`;
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Session tokens. The access token is a JWT; its `exp` claim is read here
+// only to refresh or sign out in time (verifying it is the server's job).
+// Opaque tokens carry no expiry and are left to the server to reject. The
+// refresh token, when the server issues one, is traded for a new access
+// token before expiry or on the first 401.
+////////////////////////////////////////////////////////////////////////////////
+const SESSION_REFRESH_MARGIN_MS = 60 * 1000;
+const DEMO_SESSION_MS = 8 * 60 * 60 * 1000;
+
+const decodeJwt = (token) => {
+  const payload = (token || "").split(".")[1];
+  if (!payload) return null;
+  try {
+    return JSON.parse(atob(payload.replace(/-/g, "+").replace(/_/g, "/")));
+  } catch (err) {
+    return null;
+  }
+};
+
+// Expiry in ms since the epoch, or null when the token doesn't say.
+const tokenExpiry = (token) => {
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+};
+
+const isTokenExpired = (token, marginMs = 0) => {
+  const expiry = tokenExpiry(token);
+  return expiry !== null && expiry - marginMs <= Date.now();
+};
+
+// Unsigned JWT for the offline demo accounts, so they expire like real ones.
+const demoToken = () => {
+  const encode = (obj) =>
+    btoa(JSON.stringify(obj))
+      .replace(/=+$/, "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_");
+  const exp = Math.floor((Date.now() + DEMO_SESSION_MS) / 1000);
+  return `${encode({ alg: "none", typ: "JWT" })}.${encode({
+    demo: true,
+    exp,
+  })}.`;
+};
+
+const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+  else localStorage.removeItem("refreshToken");
+  localStorage.setItem("user", JSON.stringify(user));
+};
+
+const clearSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Roles & permissions. The role comes from `user.type` ("student", "startup"
+// or "admin"); for startup accounts `user.role` is their role in the
+// organization (owner, recruiter, interviewer), and an account without one is
+// treated as an owner. Header tabs, job actions and apiClient calls all ask
+// `can(user, permission)`; the server still enforces its own rules.
+////////////////////////////////////////////////////////////////////////////////
+const ROLE_LABELS = {
+  guest: "Guest",
+  student: "Student",
+  interviewer: "Interviewer",
+  recruiter: "Startup recruiter",
+  startupAdmin: "Startup admin",
+  platformAdmin: "Platform admin",
+};
+
+const INTERVIEWER_PERMISSIONS = [
+  "postings:view",
+  "applicants:view",
+  "interviews:schedule",
+  "messages:send",
+  "team:view",
+];
+const RECRUITER_PERMISSIONS = [
+  ...INTERVIEWER_PERMISSIONS,
+  "postings:edit",
+  "applicants:review",
+];
+const STARTUP_ADMIN_PERMISSIONS = [
+  ...RECRUITER_PERMISSIONS,
+  "postings:create",
+  "postings:status",
+  "team:manage",
+  "company:edit",
+];
+
+const ROLE_PERMISSIONS = {
+  guest: [],
+  student: [
+    "jobs:apply",
+    "jobs:save",
+    "applications:own",
+    "resumes:manage",
+    "messages:send",
+  ],
+  interviewer: INTERVIEWER_PERMISSIONS,
+  recruiter: RECRUITER_PERMISSIONS,
+  startupAdmin: STARTUP_ADMIN_PERMISSIONS,
+  // platform admins have no team of their own
+  platformAdmin: [
+    ...STARTUP_ADMIN_PERMISSIONS.filter((p) => !p.startsWith("team:")),
+    "postings:all",
+    "companies:all",
+  ],
+};
+
+// organization role → permission role
+const STARTUP_ROLES = {
+  owner: "startupAdmin",
+  recruiter: "recruiter",
+  interviewer: "interviewer",
+};
+
+// completes "… accounts can't <action>."
+const PERMISSION_ACTIONS = {
+  "jobs:apply": "apply to jobs",
+  "jobs:save": "save jobs",
+  "applications:own": "track applications",
+  "resumes:manage": "upload resumes",
+  "postings:view": "manage job postings",
+  "postings:edit": "edit job postings",
+  "postings:create": "post new jobs",
+  "postings:status": "pause, reopen or close job postings",
+  "applicants:view": "see applicants",
+  "applicants:review": "move applicants through the pipeline",
+  "interviews:schedule": "schedule interviews",
+  "messages:send": "send messages",
+  "team:view": "see a startup team",
+  "team:manage": "invite team members or change their roles",
+  "postings:all": "see every company's postings",
+  "company:edit": "edit the company profile",
+  "companies:all": "edit other companies' profiles",
+};
+
+const userRole = (user) => {
+  if (!user) return "guest";
+  if (user.type === "admin") return "platformAdmin";
+  if (user.type === "startup")
+    return STARTUP_ROLES[user.role] || "startupAdmin";
+  return "student";
+};
+
+const can = (user, permission) =>
+  ROLE_PERMISSIONS[userRole(user)].includes(permission);
+
+const deniedMessage = (user, permission) =>
+  `${ROLE_LABELS[userRole(user)]} accounts can't ${
+    PERMISSION_ACTIONS[permission]
+  }.`;
+
+// `permission` hides a tab from roles without it; guests see the student
+// tabs and are asked to sign in there.
+const NAV_TABS = [
+  { id: "jobs", label: "Jobs" },
+  { id: "companies", label: "Companies" },
+  { id: "postings", label: "My Postings", permission: "postings:view" },
+  { id: "saved", label: "Saved", permission: "jobs:save" },
+  { id: "applications", label: "Applications", permission: "applications:own" },
+  { id: "team", label: "Team", permission: "team:view" },
+];
+
+////////////////////////////////////////////////////////////////////////////////
+// Response cache for GET requests, keyed by endpoint (path + query string).
+// Fresh entries are served as-is; stale ones are served immediately and
+// refetched in the background (stale-while-revalidate). Concurrent requests
+// for the same endpoint share one fetch. Failures are never cached.
+////////////////////////////////////////////////////////////////////////////////
+const CACHE_TTL_MS = 30 * 1000;
+
+const apiCache = {
+  entries: new Map(), // endpoint → { data, fetchedAt }
+  inFlight: new Map(), // endpoint → Promise
+  // bumped on every invalidation so fetches started earlier don't write back
+  version: 0,
+
+  // "/jobs" matches "/jobs", "/jobs?…" and "/jobs/…"; RegExps are tested as-is.
+  matches(endpoint, pattern) {
+    if (pattern instanceof RegExp) return pattern.test(endpoint);
+    return (
+      endpoint === pattern ||
+      endpoint.startsWith(`${pattern}?`) ||
+      endpoint.startsWith(`${pattern}/`)
+    );
+  },
+
+  invalidate(...patterns) {
+    if (patterns.length === 0) return;
+    this.version += 1;
+    for (const map of [this.entries, this.inFlight]) {
+      for (const endpoint of [...map.keys()]) {
+        if (patterns.some((p) => this.matches(endpoint, p))) {
+          map.delete(endpoint);
+        }
+      }
+    }
+  },
+
+  clear() {
+    this.version += 1;
+    this.entries.clear();
+    this.inFlight.clear();
+  },
+};
+
 ////////////////////////////////////////////////////////////////////////////////
 // Simple API client with graceful fallback to mock data
 ////////////////////////////////////////////////////////////////////////////////
 const apiClient = {
-  async request(endpoint, options = {}) {
+  refreshing: null, // in-flight refreshSession() promise
+
+  // `retry` allows one token refresh (see refreshSession); auth calls and
+  // the retried request itself pass false.
+  async request(endpoint, options = {}, { retry = true } = {}) {
+    if (retry) await this.refreshIfExpiring();
     const token = localStorage.getItem("token");
     const headers = {
       "Content-Type": "application/json",
@@ -57,85 +336,446 @@ const apiClient = {
       headers,
     };
 
+    // Failures throw ApiError to let the caller decide. Some callers will handle fallback.
+    let resp;
     try {
-      const resp = await fetch(`${API_BASE}/api${endpoint}`, cfg);
-      const text = await resp.text();
-      let data;
-      try {
-        data = text ? JSON.parse(text) : {};
-      } catch (err) {
-        data = text;
-      }
-      if (!resp.ok) {
-        const err =
-          data?.error || data?.message || resp.statusText || "API Error";
-        throw new Error(err);
-      }
-      return data;
+      resp = await fetch(`${API_BASE}/api${endpoint}`, cfg);
+    } catch (err) {
+      throw new ApiError("Network error", { endpoint });
+    }
+    const text = await resp.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
     } catch (err) {
-      // When API fails, throw to let caller decide. Some callers will handle fallback.
-      throw err;
+      data = text;
+    }
+    if (!resp.ok) {
+      if (resp.status === 401 && retry && token) {
+        if (await this.refreshSession()) {
+          return this.request(endpoint, options, { retry: false });
+        }
+      }
+      const message =
+        data?.error || data?.message || resp.statusText || "API Error";
+      throw new ApiError(message, {
+        status: resp.status,
+        endpoint,
+        payload: data,
+      });
+    }
+    return data;
+  },
+
+  // Rejects calls the signed-in role may not make before they reach the
+  // network, with the 403 the server would answer.
+  authorize(permission, endpoint) {
+    const user = readStoredJSON("user", null);
+    if (!can(user, permission)) {
+      throw new ApiError(deniedMessage(user, permission), {
+        status: 403,
+        endpoint,
+      });
+    }
+  },
+
+  // Trades the refresh token for a new access token. Concurrent callers
+  // share one request. Resolves true on success, false when there is no
+  // usable refresh token, and null when the server can't be reached.
+  refreshSession() {
+    if (this.refreshing) return this.refreshing;
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (!refreshToken) return Promise.resolve(false);
+    this.refreshing = this.request(
+      "/auth/refresh",
+      { method: "POST", body: JSON.stringify({ refreshToken }) },
+      { retry: false }
+    )
+      .then((data) => {
+        if (!data?.token) throw new ApiError("No token in refresh response");
+        localStorage.setItem("token", data.token);
+        if (data.refreshToken) {
+          localStorage.setItem("refreshToken", data.refreshToken);
+        }
+        return true;
+      })
+      .catch((err) => {
+        if (canFallBackLocally(err)) return null;
+        localStorage.removeItem("refreshToken");
+        return false;
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+    return this.refreshing;
+  },
+
+  // For connections that can't go through request() (the message socket):
+  // the access token, refreshed first when it's about to expire.
+  async currentToken() {
+    await this.refreshIfExpiring();
+    return localStorage.getItem("token");
+  },
+
+  async refreshIfExpiring() {
+    if (
+      localStorage.getItem("refreshToken") &&
+      isTokenExpired(localStorage.getItem("token"), SESSION_REFRESH_MARGIN_MS)
+    ) {
+      await this.refreshSession();
+    }
+  },
+
+  // Cached GET (see apiCache). Stale data resolves immediately and
+  // `onUpdate` later receives the revalidated response if it changed.
+  async cachedGet(
+    endpoint,
+    { ttl = CACHE_TTL_MS, force = false, onUpdate } = {}
+  ) {
+    const entry = apiCache.entries.get(endpoint);
+    if (!entry || force) return this.revalidate(endpoint);
+    if (Date.now() - entry.fetchedAt >= ttl) {
+      this.revalidate(endpoint)
+        .then((data) => {
+          // skip if invalidated meanwhile (e.g. logout) or nothing changed
+          const stored = apiCache.entries.get(endpoint)?.data === data;
+          if (
+            onUpdate &&
+            stored &&
+            JSON.stringify(data) !== JSON.stringify(entry.data)
+          ) {
+            onUpdate(data);
+          }
+        })
+        .catch(() => {}); // keep serving the stale copy
     }
+    return entry.data;
+  },
+
+  revalidate(endpoint) {
+    if (apiCache.inFlight.has(endpoint)) return apiCache.inFlight.get(endpoint);
+    const version = apiCache.version;
+    const promise = this.request(endpoint)
+      .then((data) => {
+        if (apiCache.version === version) {
+          apiCache.entries.set(endpoint, { data, fetchedAt: Date.now() });
+        }
+        return data;
+      })
+      .finally(() => {
+        if (apiCache.inFlight.get(endpoint) === promise) {
+          apiCache.inFlight.delete(endpoint);
+        }
+      });
+    apiCache.inFlight.set(endpoint, promise);
+    return promise;
+  },
+
+  // Write, then evict the cached GETs it affects.
+  async mutate(endpoint, options, invalidates = []) {
+    const data = await this.request(endpoint, options);
+    apiCache.invalidate(...invalidates);
+    return data;
   },
 
-  // Auth
+  // Auth. A new session never sees the previous user's cached data.
   async login(email, password) {
-    return this.request("/auth/login", {
-      method: "POST",
-      body: JSON.stringify({ email, password }),
-    });
+    const data = await this.request(
+      "/auth/login",
+      { method: "POST", body: JSON.stringify({ email, password }) },
+      { retry: false }
+    );
+    apiCache.clear();
+    return data;
   },
 
   async register(userData) {
-    return this.request("/auth/register", {
-      method: "POST",
-      body: JSON.stringify(userData),
-    });
+    const data = await this.request(
+      "/auth/register",
+      { method: "POST", body: JSON.stringify(userData) },
+      { retry: false }
+    );
+    apiCache.clear();
+    return data;
+  },
+
+  // The signed-in user as the server sees it; validates a restored session.
+  async getMe() {
+    return this.request("/auth/me");
   },
 
   // Jobs
-  async getJobs(params = {}) {
+  async getJobs(params = {}, cacheOptions) {
     const qs = new URLSearchParams(params).toString();
-    return this.request(`/jobs${qs ? `?${qs}` : ""}`);
+    return this.cachedGet(`/jobs${qs ? `?${qs}` : ""}`, cacheOptions);
+  },
+
+  async getJob(id, cacheOptions) {
+    return this.cachedGet(`/jobs/${id}`, cacheOptions);
+  },
+
+  // Job postings (startup recruiters). Company pages list open roles, so
+  // they go stale along with the jobs.
+  async createJob(jobData) {
+    this.authorize("postings:create", "/jobs");
+    return this.mutate(
+      "/jobs",
+      { method: "POST", body: JSON.stringify(jobData) },
+      ["/jobs", "/companies"]
+    );
+  },
+
+  async updateJob(id, updates) {
+    this.authorize(
+      "status" in updates ? "postings:status" : "postings:edit",
+      `/jobs/${id}`
+    );
+    return this.mutate(
+      `/jobs/${id}`,
+      { method: "PUT", body: JSON.stringify(updates) },
+      ["/jobs", "/companies"]
+    );
+  },
+
+  async closeJob(id) {
+    this.authorize("postings:status", `/jobs/${id}/close`);
+    return this.mutate(`/jobs/${id}/close`, { method: "POST" }, [
+      "/jobs",
+      "/companies",
+    ]);
+  },
+
+  // Startup organizations (see readOrganizations for the local store)
+  async getOrganization(id, cacheOptions) {
+    return this.cachedGet(`/organizations/${id}`, cacheOptions);
+  },
+
+  async createOrganization(data) {
+    return this.mutate(
+      "/organizations",
+      { method: "POST", body: JSON.stringify(data) },
+      ["/organizations"]
+    );
+  },
+
+  async acceptInvite(code) {
+    return this.mutate(
+      `/invites/${encodeURIComponent(code)}/accept`,
+      { method: "POST" },
+      ["/organizations"]
+    );
+  },
+
+  async createInvite(orgId, invite) {
+    this.authorize("team:manage", `/organizations/${orgId}/invites`);
+    return this.mutate(
+      `/organizations/${orgId}/invites`,
+      { method: "POST", body: JSON.stringify(invite) },
+      [`/organizations/${orgId}`]
+    );
+  },
+
+  async revokeInvite(orgId, code) {
+    this.authorize("team:manage", `/organizations/${orgId}/invites`);
+    return this.mutate(
+      `/organizations/${orgId}/invites/${encodeURIComponent(code)}`,
+      { method: "DELETE" },
+      [`/organizations/${orgId}`]
+    );
+  },
+
+  async updateMember(orgId, email, updates) {
+    this.authorize("team:manage", `/organizations/${orgId}/members`);
+    return this.mutate(
+      `/organizations/${orgId}/members/${encodeURIComponent(email)}`,
+      { method: "PATCH", body: JSON.stringify(updates) },
+      [`/organizations/${orgId}`]
+    );
+  },
+
+  async removeMember(orgId, email) {
+    this.authorize("team:manage", `/organizations/${orgId}/members`);
+    return this.mutate(
+      `/organizations/${orgId}/members/${encodeURIComponent(email)}`,
+      { method: "DELETE" },
+      [`/organizations/${orgId}`]
+    );
   },
 
-  async getJob(id) {
-    return this.request(`/jobs/${id}`);
+  // Applications. `details` carries the chosen resume and screening answers.
+  async applyToJob(jobId, coverLetter = "", details = {}) {
+    this.authorize("jobs:apply", "/applications");
+    return this.mutate(
+      "/applications",
+      {
+        method: "POST",
+        body: JSON.stringify({ jobId, coverLetter, ...details }),
+      },
+      ["/applications/my"]
+    );
+  },
+
+  async getMyApplications(cacheOptions) {
+    this.authorize("applications:own", "/applications/my");
+    return this.cachedGet("/applications/my", cacheOptions);
+  },
+
+  async getJobApplications(jobId, cacheOptions) {
+    this.authorize("applicants:view", `/jobs/${jobId}/applications`);
+    return this.cachedGet(`/jobs/${jobId}/applications`, cacheOptions);
+  },
+
+  async updateApplicationStatus(applicationId, status) {
+    this.authorize(
+      "applicants:review",
+      `/applications/${applicationId}/status`
+    );
+    return this.mutate(
+      `/applications/${applicationId}/status`,
+      { method: "PATCH", body: JSON.stringify({ status }) },
+      [/^\/jobs\/[^/?]+\/applications$/]
+    );
+  },
+
+  // Messages. Polled without the response cache (see createMessageTransport).
+  async getMessages(since) {
+    return this.request(
+      `/messages${since ? `?since=${encodeURIComponent(since)}` : ""}`
+    );
+  },
+
+  async sendMessage(applicationId, message) {
+    this.authorize("messages:send", `/applications/${applicationId}/messages`);
+    return this.request(`/applications/${applicationId}/messages`, {
+      method: "POST",
+      body: JSON.stringify(message),
+    });
   },
 
-  // Applications
-  async applyToJob(jobId, coverLetter = "") {
-    return this.request("/applications", {
+  async markThreadRead(applicationId) {
+    return this.request(`/applications/${applicationId}/messages/read`, {
       method: "POST",
-      body: JSON.stringify({ jobId, coverLetter }),
     });
   },
 
-  async getMyApplications() {
-    return this.request("/applications/my");
+  // Interviews. GET /interviews lists the ones already booked that the user
+  // takes part in (their team's, or their own as a candidate).
+  async getInterviews(cacheOptions) {
+    return this.cachedGet("/interviews", cacheOptions);
+  },
+
+  async proposeInterview(applicationId, proposal) {
+    this.authorize(
+      "interviews:schedule",
+      `/applications/${applicationId}/interview`
+    );
+    return this.mutate(
+      `/applications/${applicationId}/interview`,
+      { method: "PUT", body: JSON.stringify(proposal) },
+      [/^\/jobs\/[^/?]+\/applications$/, "/interviews"]
+    );
+  },
+
+  async acceptInterview(applicationId, slotId) {
+    this.authorize(
+      "applications:own",
+      `/applications/${applicationId}/interview/accept`
+    );
+    return this.mutate(
+      `/applications/${applicationId}/interview/accept`,
+      { method: "POST", body: JSON.stringify({ slotId }) },
+      ["/applications/my", "/interviews"]
+    );
   },
 
   // Saved jobs
   async saveJob(jobId) {
-    return this.request("/saved-jobs", {
-      method: "POST",
-      body: JSON.stringify({ jobId }),
-    });
+    this.authorize("jobs:save", "/saved-jobs");
+    return this.mutate(
+      "/saved-jobs",
+      { method: "POST", body: JSON.stringify({ jobId }) },
+      ["/saved-jobs"]
+    );
   },
 
   async unsaveJob(jobId) {
-    return this.request(`/saved-jobs/${jobId}`, {
-      method: "DELETE",
-    });
+    this.authorize("jobs:save", `/saved-jobs/${jobId}`);
+    return this.mutate(`/saved-jobs/${jobId}`, { method: "DELETE" }, [
+      "/saved-jobs",
+    ]);
+  },
+
+  async getSavedJobs(cacheOptions) {
+    this.authorize("jobs:save", "/saved-jobs");
+    return this.cachedGet("/saved-jobs", cacheOptions);
+  },
+
+  // Saved searches
+  async getSavedSearches(cacheOptions) {
+    return this.cachedGet("/saved-searches", cacheOptions);
+  },
+
+  async createSavedSearch(search) {
+    return this.mutate(
+      "/saved-searches",
+      { method: "POST", body: JSON.stringify(search) },
+      ["/saved-searches"]
+    );
+  },
+
+  async updateSavedSearch(id, updates) {
+    return this.mutate(
+      `/saved-searches/${id}`,
+      { method: "PATCH", body: JSON.stringify(updates) },
+      ["/saved-searches"]
+    );
+  },
+
+  async deleteSavedSearch(id) {
+    return this.mutate(`/saved-searches/${id}`, { method: "DELETE" }, [
+      "/saved-searches",
+    ]);
+  },
+
+  // Notifications
+  async getNotifications(cacheOptions) {
+    return this.cachedGet("/notifications", cacheOptions);
   },
 
-  async getSavedJobs() {
-    return this.request("/saved-jobs");
+  async markNotificationsRead(ids) {
+    return this.mutate(
+      "/notifications/read",
+      { method: "POST", body: JSON.stringify({ ids }) },
+      ["/notifications"]
+    );
   },
 
   // Companies
-  async getCompanies() {
-    return this.request("/companies");
+  async getCompanies(cacheOptions) {
+    return this.cachedGet("/companies", cacheOptions);
+  },
+
+  async getCompany(id, cacheOptions) {
+    return this.cachedGet(`/companies/${id}`, cacheOptions);
+  },
+
+  // Jobs embed the company's name and logo, so their cache goes too.
+  async createCompany(companyData) {
+    this.authorize("company:edit", "/companies");
+    return this.mutate(
+      "/companies",
+      { method: "POST", body: JSON.stringify(companyData) },
+      ["/companies", "/organizations"]
+    );
+  },
+
+  async updateCompany(id, updates) {
+    this.authorize("company:edit", `/companies/${id}`);
+    return this.mutate(
+      `/companies/${id}`,
+      { method: "PUT", body: JSON.stringify(updates) },
+      ["/companies", "/jobs"]
+    );
   },
 
   // Profile
@@ -146,16 +786,62 @@ const apiClient = {
     });
   },
 
-  // Resume upload (file) - expects FormData
-  async uploadResume(formData) {
+  // Resume upload (file) - expects FormData. Uses XHR rather than fetch so
+  // `onProgress` can follow the upload (0-100). A 401 refreshes the session
+  // and sends the file once more, like request().
+  async uploadResume(formData, { onProgress } = {}, { retry = true } = {}) {
+    const endpoint = "/users/upload-resume";
+    this.authorize("resumes:manage", endpoint);
+    if (retry) await this.refreshIfExpiring();
     const token = localStorage.getItem("token");
-    const resp = await fetch(`${API_BASE}/api/users/upload-resume`, {
-      method: "POST",
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-      body: formData,
+    const sent = await new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open("POST", `${API_BASE}/api${endpoint}`);
+      if (token) xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+      xhr.upload.onprogress = (e) => {
+        if (onProgress && e.lengthComputable) {
+          onProgress(Math.round((e.loaded / e.total) * 100));
+        }
+      };
+      xhr.onerror = () => reject(new ApiError("Network error", { endpoint }));
+      xhr.onload = () => {
+        let payload = null;
+        try {
+          payload = JSON.parse(xhr.responseText);
+        } catch (err) {
+          // non-JSON body; the status decides
+        }
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve({ data: payload || {} });
+        } else if (xhr.status === 401 && retry && token) {
+          resolve({ unauthorized: true, payload });
+        } else {
+          reject(
+            new ApiError(payload?.error || "Upload failed", {
+              status: xhr.status,
+              endpoint,
+              payload,
+            })
+          );
+        }
+      };
+      xhr.send(formData);
     });
-    if (!resp.ok) throw new Error("Upload failed");
-    return resp.json();
+    if (!sent.unauthorized) return sent.data;
+    if (!(await this.refreshSession())) {
+      throw new ApiError(sent.payload?.error || "Upload failed", {
+        status: 401,
+        endpoint,
+        payload: sent.payload,
+      });
+    }
+    if (onProgress) onProgress(0);
+    return this.uploadResume(formData, { onProgress }, { retry: false });
+  },
+
+  async deleteResume(id) {
+    this.authorize("resumes:manage", `/users/resumes/${id}`);
+    return this.request(`/users/resumes/${id}`, { method: "DELETE" });
   },
 };
 
@@ -167,6 +853,7 @@ const MOCK_JOBS = [
     id: "job-1",
     title: "Frontend Engineer",
     company: "TechFlow AG",
+    companyId: "c-1",
     location: "Zurich",
     type: "Full-time",
     stage: "Seed",
@@ -175,18 +862,32 @@ const MOCK_JOBS = [
       "Build beautiful interactive UI components. Be part of a small team shipping fast.",
     salary: "CHF 95k-110k",
     equity: "0.2%",
+    vesting: "4 years, 1-year cliff",
     applicants: 5,
     logo: "ðŸš€",
     postedDays: 3,
     funding: "CHF 2M",
     benefits: ["Equity package", "Flexible hours", "Learning budget"],
     requirements: ["React experience", "TypeScript", "Startup mentality"],
+    screeningQuestions: [
+      {
+        id: "q1",
+        question: "Why do you want to join TechFlow?",
+        required: true,
+      },
+      {
+        id: "q2",
+        question: "Link to a project you're proud of",
+        required: false,
+      },
+    ],
     idSlug: "frontend-engineer-techflow",
   },
   {
     id: "job-2",
     title: "Product Designer",
     company: "Designly",
+    companyId: "c-2",
     location: "Remote",
     type: "Part-time",
     stage: "Series A",
@@ -195,9 +896,11 @@ const MOCK_JOBS = [
       "Design delightful product experiences and collaborate with PMs & engineers.",
     salary: "CHF 60k-80k",
     equity: "0.05%",
+    vesting: "4 years, 6 month cliff",
     applicants: 12,
     logo: "ðŸŽ¨",
     postedDays: 7,
+    closesInDays: 2,
     funding: "CHF 5M",
     benefits: ["Remote first", "Equipment budget"],
     requirements: ["Portfolio", "Figma expertise"],
@@ -206,6 +909,7 @@ const MOCK_JOBS = [
     id: "job-3",
     title: "Machine Learning Intern",
     company: "AiSwiss",
+    companyId: "c-3",
     location: "Lausanne",
     type: "Internship",
     stage: "Pre-seed",
@@ -231,6 +935,29 @@ const MOCK_COMPANIES = [
     employees: 18,
     funding: "CHF 2M",
     stage: "Seed",
+    founded: 2021,
+    description:
+      "TechFlow builds workflow automation for Swiss SMEs, turning paper-heavy back-office processes into a few clicks.",
+    locations: ["Zurich"],
+    fundingHistory: [
+      {
+        round: "Pre-seed",
+        amount: "CHF 500k",
+        date: "2021-09",
+        investors: ["Limmat Angels"],
+      },
+      {
+        round: "Seed",
+        amount: "CHF 1.5M",
+        date: "2023-03",
+        investors: ["Alpine Seed Partners", "Limmat Angels"],
+      },
+    ],
+    team: [
+      { name: "Mara Keller", role: "CEO & Co-founder" },
+      { name: "Jonas Brunner", role: "CTO & Co-founder" },
+      { name: "Elena Rossi", role: "Head of Product" },
+    ],
   },
   {
     id: "c-2",
@@ -239,6 +966,28 @@ const MOCK_COMPANIES = [
     employees: 12,
     funding: "CHF 5M",
     stage: "Series A",
+    founded: 2019,
+    description:
+      "Designly is a collaborative design-review tool used by product teams across Europe. Fully remote with a hub in Zurich.",
+    locations: ["Remote", "Zurich"],
+    fundingHistory: [
+      {
+        round: "Seed",
+        amount: "CHF 1M",
+        date: "2020-06",
+        investors: ["Helvetic Design Fund"],
+      },
+      {
+        round: "Series A",
+        amount: "CHF 4M",
+        date: "2022-11",
+        investors: ["Rhine Valley Capital", "Helvetic Design Fund"],
+      },
+    ],
+    team: [
+      { name: "Lea Fischer", role: "CEO & Co-founder" },
+      { name: "Noah Weber", role: "Design Lead" },
+    ],
   },
   {
     id: "c-3",
@@ -247,6 +996,152 @@ const MOCK_COMPANIES = [
     employees: 6,
     funding: "CHF 300k",
     stage: "Pre-seed",
+    founded: 2023,
+    description:
+      "AiSwiss applies machine learning to clinical triage, helping hospitals prioritise patients faster.",
+    locations: ["Lausanne"],
+    fundingHistory: [
+      {
+        round: "Pre-seed",
+        amount: "CHF 300k",
+        date: "2024-01",
+        investors: ["Lake Geneva Angels"],
+      },
+    ],
+    team: [
+      { name: "Camille Favre", role: "CEO & Co-founder" },
+      { name: "Marco Bernasconi", role: "ML Lead & Co-founder" },
+    ],
+  },
+];
+
+// Applicants seeded for the mock postings so the recruiter pipeline has data
+// when the API is unreachable.
+const MOCK_APPLICATIONS = [
+  {
+    id: "app-mock-1",
+    jobId: "job-1",
+    status: "pending",
+    appliedAt: "2024-05-02T09:15:00.000Z",
+    applicant: { name: "Anna Meier", email: "anna.meier@example.com" },
+    coverLetter: "I have built React dashboards for two student projects.",
+    history: [
+      {
+        status: "pending",
+        changedBy: "Anna Meier",
+        changedAt: "2024-05-02T09:15:00.000Z",
+      },
+    ],
+  },
+  {
+    id: "app-mock-2",
+    jobId: "job-1",
+    status: "reviewed",
+    appliedAt: "2024-04-28T14:40:00.000Z",
+    applicant: { name: "Luca Rossi", email: "luca.rossi@example.com" },
+    coverLetter: "TypeScript enthusiast, interned at a Zurich fintech.",
+    history: [
+      {
+        status: "pending",
+        changedBy: "Luca Rossi",
+        changedAt: "2024-04-28T14:40:00.000Z",
+      },
+      {
+        status: "reviewed",
+        changedBy: "Startup Demo",
+        changedAt: "2024-04-30T08:05:00.000Z",
+      },
+    ],
+  },
+  {
+    id: "app-mock-3",
+    jobId: "job-3",
+    status: "pending",
+    appliedAt: "2024-05-03T11:00:00.000Z",
+    applicant: { name: "Sophie Dubois", email: "sophie.dubois@example.com" },
+    coverLetter: "EPFL data science student looking for an ML internship.",
+    history: [
+      {
+        status: "pending",
+        changedBy: "Sophie Dubois",
+        changedAt: "2024-05-03T11:00:00.000Z",
+      },
+    ],
+  },
+];
+
+// Offline sign-in, one account per role; the password is "password123".
+const DEMO_PASSWORD = "password123";
+const DEMO_ACCOUNTS = {
+  "student@example.com": {
+    name: "Student Demo",
+    email: "student@example.com",
+    type: "student",
+    profile: {
+      university: "ETH Zurich",
+      major: "Computer Science",
+      skills: ["React", "Python"],
+    },
+  },
+  "startup@example.com": {
+    name: "Startup Demo",
+    email: "startup@example.com",
+    type: "startup",
+    role: "owner",
+    organizationId: "org-c-1",
+    profile: { company: "TechFlow AG" },
+  },
+  "recruiter@example.com": {
+    name: "Recruiter Demo",
+    email: "recruiter@example.com",
+    type: "startup",
+    role: "recruiter",
+    organizationId: "org-c-1",
+    profile: { company: "TechFlow AG" },
+  },
+  "interviewer@example.com": {
+    name: "Interviewer Demo",
+    email: "interviewer@example.com",
+    type: "startup",
+    role: "interviewer",
+    organizationId: "org-c-1",
+    profile: { company: "TechFlow AG" },
+  },
+  "admin@example.com": {
+    name: "Platform Admin",
+    email: "admin@example.com",
+    type: "admin",
+    profile: {},
+  },
+};
+
+// The demo startup accounts share TechFlow AG's team.
+const MOCK_ORGANIZATIONS = [
+  {
+    id: "org-c-1",
+    companyId: "c-1",
+    name: "TechFlow AG",
+    members: [
+      {
+        email: "startup@example.com",
+        name: "Startup Demo",
+        role: "owner",
+        joinedAt: "2024-01-08T09:00:00.000Z",
+      },
+      {
+        email: "recruiter@example.com",
+        name: "Recruiter Demo",
+        role: "recruiter",
+        joinedAt: "2024-02-12T09:00:00.000Z",
+      },
+      {
+        email: "interviewer@example.com",
+        name: "Interviewer Demo",
+        role: "interviewer",
+        joinedAt: "2024-03-04T09:00:00.000Z",
+      },
+    ],
+    invites: [],
   },
 ];
 
@@ -258,25 +1153,3325 @@ const prettyDateDiffDays = (timestamp) =>
     (Date.now() - new Date(timestamp).getTime()) / (1000 * 60 * 60 * 24)
   );
 
-function useDebounced(value, delay = 300) {
-  const [v, setV] = useState(value);
-  useEffect(() => {
-    const t = setTimeout(() => setV(value), delay);
-    return () => clearTimeout(t);
-  }, [value, delay]);
-  return v;
-}
+// Mock jobs carry a static `postedDays`; postings created in-app carry `createdAt`.
+const jobPostedDays = (job) =>
+  job.createdAt ? prettyDateDiffDays(job.createdAt) : job.postedDays ?? 2;
 
-////////////////////////////////////////////////////////////////////////////////
-// Main App
+// Same split for deadlines: `closesInDays` on mocks, `closesAt` on postings.
+// null when the job has no deadline.
+const jobClosesInDays = (job) => {
+  if (job.closesAt) {
+    return Math.ceil(
+      (new Date(job.closesAt).getTime() - Date.now()) / (1000 * 60 * 60 * 24)
+    );
+  }
+  return job.closesInDays ?? null;
+};
+
+const timeAgo = (timestamp) => {
+  const minutes = Math.floor(
+    (Date.now() - new Date(timestamp).getTime()) / 60000
+  );
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? "" : "s"} ago`;
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Compensation model
+//
+// `job.salary`/`job.equity`/`job.vesting` are display strings ("CHF 95k-110k",
+// "CHF 2k/month", "0.2%", "4 years, 1-year cliff"). parseCompensation turns
+// them into { currency, min, max, period, annualChf, equity } so monthly
+// stipends and yearly salaries can be compared. An API that already sends a
+// structured `job.compensation` is used as-is.
+////////////////////////////////////////////////////////////////////////////////
+const PERIODS_PER_YEAR = { hour: 1760, day: 220, week: 52, month: 12, year: 1 };
+
+const PERIOD_PATTERNS = [
+  [/\/\s*h(ou)?r|per hour|hourly/, "hour"],
+  [/\/\s*day|per day|daily/, "day"],
+  [/\/\s*w(ee)?k|per week|weekly/, "week"],
+  [/\/\s*mo(nth)?|per month|monthly/, "month"],
+];
+
+const CURRENCY_PATTERNS = [
+  [/eur|€/, "EUR"],
+  [/usd|\$/, "USD"],
+  [/gbp|£/, "GBP"],
+];
+
+// Rough conversion rates, only used to rank/filter across currencies.
+const CHF_PER_UNIT = { CHF: 1, EUR: 0.94, USD: 0.8, GBP: 1.07 };
+
+const parseSalary = (salary) => {
+  if (!salary) return null;
+  const text = String(salary)
+    .toLowerCase()
+    .replace(/['’,](?=\d{3})/g, "");
+  const matches = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(k)?/g)];
+  if (matches.length === 0) return null;
+
+  // "95-110k": a trailing "k" applies to the whole range
+  const anyK = matches.some((m) => m[2]);
+  const amounts = matches
+    .slice(0, 2)
+    .map((m) => parseFloat(m[1]) * (m[2] || (anyK && m[1] < 1000) ? 1000 : 1));
+  return {
+    currency: CURRENCY_PATTERNS.find(([re]) => re.test(text))?.[1] || "CHF",
+    min: Math.min(...amounts),
+    max: Math.max(...amounts),
+    period: PERIOD_PATTERNS.find(([re]) => re.test(text))?.[1] || "year",
+  };
+};
+
+// "0.2%" → 0.2; null if missing or unparsable
+const parseEquityPercent = (equity) => {
+  const match = String(equity ?? "").match(/(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// "4 years, 1-year cliff" / "4y vesting, 12 month cliff" → { years, cliffMonths }
+const parseVesting = (vesting) => {
+  if (!vesting) return null;
+  const text = String(vesting).toLowerCase();
+  const years = text.match(/(\d+)\s*-?\s*y(ea)?r?s?(?![^,]*cliff)/);
+  const cliff = text.match(/(\d+)\s*-?\s*(y(ea)?r?|mo(nth)?)s?\s*cliff/);
+  if (!years && !cliff) return null;
+  return {
+    years: years ? parseInt(years[1], 10) : null,
+    cliffMonths: cliff
+      ? parseInt(cliff[1], 10) * (cliff[2].startsWith("y") ? 12 : 1)
+      : null,
+  };
+};
+
+const parseCompensation = (job) => {
+  const structured = job.compensation;
+  const salary = structured?.period ? structured : parseSalary(job.salary);
+  const toAnnualChf = salary
+    ? PERIODS_PER_YEAR[salary.period] * (CHF_PER_UNIT[salary.currency] ?? 1)
+    : 0;
+  return {
+    currency: salary?.currency || null,
+    min: salary?.min ?? null,
+    max: salary?.max ?? null,
+    period: salary?.period || null,
+    annualChf: salary
+      ? { min: salary.min * toAnnualChf, max: salary.max * toAnnualChf }
+      : null,
+    equity: structured?.equity || {
+      percent: parseEquityPercent(job.equity),
+      vesting: parseVesting(job.vesting),
+    },
+  };
+};
+
+const formatAmount = (n) =>
+  n >= 1000 ? `${Math.round(n / 100) / 10}k` : String(Math.round(n));
+
+// Salary in its own currency, converted to the chosen display period
+// ("year" or "month"). Falls back to the raw string when unparsable.
+const formatSalary = (job, displayPeriod) => {
+  const comp = parseCompensation(job);
+  if (comp.min == null) return job.salary || "";
+  const factor =
+    PERIODS_PER_YEAR[comp.period] / PERIODS_PER_YEAR[displayPeriod];
+  const min = formatAmount(comp.min * factor);
+  const max = formatAmount(comp.max * factor);
+  return `${comp.currency} ${
+    min === max ? min : `${min}-${max}`
+  } / ${displayPeriod}`;
+};
+
+// Parsed equity as "0.2%"; empty when the job lists none.
+const formatEquity = (job) => {
+  const { percent } = parseCompensation(job).equity;
+  return percent == null ? "" : `${percent}%`;
+};
+
+const formatVesting = (vesting) => {
+  if (!vesting) return "";
+  const parts = [];
+  if (vesting.years) parts.push(`${vesting.years}-year vesting`);
+  if (vesting.cliffMonths) {
+    parts.push(
+      vesting.cliffMonths % 12 === 0
+        ? `${vesting.cliffMonths / 12}-year cliff`
+        : `${vesting.cliffMonths}-month cliff`
+    );
+  }
+  return parts.join(", ");
+};
+
+const SALARY_FILTER_MAX = 200000;
+const SALARY_FILTER_STEP = 5000;
+
+// Range input with its own draft value: FiltersPanel is re-created on every
+// App render, so the slider only reports the value once the drag ends.
+function SalaryRangeFilter({ value, onCommit }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  const commit = () => draft !== value && onCommit(draft);
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-gray-700">Minimum Salary</h4>
+        <span className="text-sm text-gray-600">
+          {draft > 0 ? `CHF ${formatAmount(draft)} / year` : "Any"}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={SALARY_FILTER_MAX}
+        step={SALARY_FILTER_STEP}
+        value={draft}
+        onChange={(e) => setDraft(Number(e.target.value))}
+        onPointerUp={commit}
+        onKeyUp={commit}
+        onBlur={commit}
+        className="w-full"
+      />
+    </div>
+  );
+}
+
+// "relevance" only differs from "recent" while a search term is set.
+const DEFAULT_JOB_SORT = "relevance";
+const JOB_SORTS = {
+  relevance: { label: "Best Match" },
+  recent: { label: "Most Recent" },
+  salary: { label: "Highest Salary" },
+  equity: { label: "Most Equity" },
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Full-text job search: tokenized, diacritic-folded (Zürich → zurich), typo
+// tolerant and weighted by field. Each job is tokenized once and cached by
+// object identity, so edited jobs (new objects) are re-indexed.
+////////////////////////////////////////////////////////////////////////////////
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  tags: 4,
+  company: 3,
+  location: 2,
+  requirements: 1.5,
+  description: 1,
+};
+
+// Extra spellings tried for a query word (already folded).
+const SEARCH_SYNONYMS = {
+  dev: ["developer", "engineer"],
+  developer: ["engineer"],
+  engineer: ["developer"],
+  fe: ["frontend"],
+  be: ["backend"],
+  ml: ["machine"],
+  geneve: ["geneva"],
+  genf: ["geneva"],
+  zuerich: ["zurich"],
+};
+
+const foldText = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// Words plus joined hyphenated compounds ("front-end" → front, end, frontend).
+const tokenize = (text) => {
+  const folded = foldText(text);
+  const words = folded.split(/[^a-z0-9]+/).filter(Boolean);
+  const compounds = (folded.match(/[a-z0-9]+(?:-[a-z0-9]+)+/g) || []).map((c) =>
+    c.replace(/-/g, "")
+  );
+  return [...words, ...compounds];
+};
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`.
+const editDistance = (a, b, max) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...row) > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// 1 exact, 0.8 prefix, 0.6 within the typo budget, else 0.
+const termMatchQuality = (term, token) => {
+  if (token === term) return 1;
+  if (term.length >= 2 && token.startsWith(term)) return 0.8;
+  const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (
+    maxTypos > 0 &&
+    Math.abs(token.length - term.length) <= maxTypos &&
+    editDistance(term, token, maxTypos) <= maxTypos
+  ) {
+    return 0.6;
+  }
+  return 0;
+};
+
+// Query → [{ term, alternatives }]; synonyms count slightly less.
+const parseSearchQuery = (query) =>
+  [...new Set(tokenize(query))].map((term) => ({
+    term,
+    alternatives: [
+      { word: term, factor: 1 },
+      ...(SEARCH_SYNONYMS[term] || []).map((word) => ({ word, factor: 0.9 })),
+    ],
+  }));
+
+const tokenMatchQuality = ({ alternatives }, token) =>
+  Math.max(
+    ...alternatives.map(
+      ({ word, factor }) => termMatchQuality(word, token) * factor
+    )
+  );
+
+const searchIndex = new WeakMap(); // job → { field: unique tokens }
+
+const searchDocument = (job) => {
+  if (!searchIndex.has(job)) {
+    const text = {
+      title: job.title,
+      tags: (job.tags || []).join(" "),
+      company: job.company,
+      location: job.location,
+      requirements: (job.requirements || []).join(" "),
+      description: job.description,
+    };
+    const doc = {};
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach((field) => {
+      doc[field] = [...new Set(tokenize(text[field]))];
+    });
+    searchIndex.set(job, doc);
+  }
+  return searchIndex.get(job);
+};
+
+// Sum over query words of their best weighted match; 0 if any word is
+// missing entirely (all words must match somewhere).
+const jobSearchScore = (job, terms) => {
+  const doc = searchDocument(job);
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+      doc[field].forEach((token) => {
+        best = Math.max(best, weight * tokenMatchQuality(term, token));
+      });
+    });
+    if (best === 0) return 0;
+    score += best;
+  }
+  return score;
+};
+
+const wordMatchesSearch = (word, terms) =>
+  tokenize(word).some((token) =>
+    terms.some((term) => tokenMatchQuality(term, token) > 0)
+  );
+
+// Wraps the words of `text` that match the parsed search `terms` in <mark>.
+function Highlight({ text, terms }) {
+  if (!text || terms.length === 0) return text ?? null;
+  const parts = String(text).split(/([\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*)/u);
+  return (
+    <>
+      {parts.map((part, i) =>
+        i % 2 === 1 && wordMatchesSearch(part, terms) ? (
+          <mark key={i} className="bg-yellow-100 text-inherit rounded-sm">
+            {part}
+          </mark>
+        ) : (
+          part
+        )
+      )}
+    </>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Filter chips. Selections are stored flat as "Category:Value" (URL, saved
+// searches) and grouped on use: a job must match at least one value in every
+// category that has a selection (OR within, AND across categories).
+////////////////////////////////////////////////////////////////////////////////
+const FILTER_CATEGORIES = [
+  { category: "Location", valuesOf: (job) => [job.location] },
+  { category: "Type", valuesOf: (job) => [job.type] },
+  { category: "Skills", valuesOf: (job) => job.tags || [] },
+  { category: "Stage", valuesOf: (job) => [job.stage] },
+];
+
+const filterKey = (category, value) => `${category}:${value}`;
+
+// Plain values from older URLs / saved searches have no category; each one
+// is its own group and may match any field, as before.
+const parseFilterKey = (key) => {
+  const sep = key.indexOf(":");
+  const category = key.slice(0, sep);
+  return sep > 0 && FILTER_CATEGORIES.some((c) => c.category === category)
+    ? { category, value: key.slice(sep + 1) }
+    : { category: null, value: key };
+};
+
+const filterLabel = (key) => parseFilterKey(key).value;
+
+// { [category or legacy key]: values }
+const groupFilters = (filters) =>
+  filters.reduce((groups, key) => {
+    const { category, value } = parseFilterKey(key);
+    const group = category || key;
+    return { ...groups, [group]: [...(groups[group] || []), value] };
+  }, {});
+
+// `exceptCategory` ignores that category's selection (for facet counts).
+const jobMatchesFilters = (job, filters, exceptCategory = null) =>
+  Object.entries(groupFilters(filters)).every(([group, values]) => {
+    if (group === exceptCategory) return true;
+    const meta = FILTER_CATEGORIES.find((c) => c.category === group);
+    const jobValues = meta
+      ? meta.valuesOf(job)
+      : FILTER_CATEGORIES.flatMap((c) => c.valuesOf(job));
+    return values.some((v) => jobValues.includes(v));
+  });
+
+// Options per category taken from `jobs` (already matched on search and
+// salary), each with the number of results it gives alongside the other
+// categories' selections. Selected values stay listed even at 0.
+const buildFilterFacets = (jobs, filters) => {
+  const groups = groupFilters(filters);
+  return FILTER_CATEGORIES.map(({ category, valuesOf }) => {
+    const counts = new Map((groups[category] || []).map((v) => [v, 0]));
+    jobs
+      .filter((job) => jobMatchesFilters(job, filters, category))
+      .forEach((job) =>
+        new Set(valuesOf(job).filter(Boolean)).forEach((v) =>
+          counts.set(v, (counts.get(v) || 0) + 1)
+        )
+      );
+    return {
+      category,
+      options: [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    };
+  });
+};
+
+// Search term + filter chips + minimum annual salary. Shared by the jobs list
+// and saved searches so both agree on what "matches" means.
+const jobMatchesSearch = (job, { term = "", filters = [], minSalary = 0 }) => {
+  const terms = parseSearchQuery(term);
+  if (terms.length > 0 && jobSearchScore(job, terms) === 0) return false;
+
+  if (minSalary > 0) {
+    const annual = parseCompensation(job).annualChf;
+    if (!annual || annual.max < minSalary) return false;
+  }
+
+  return jobMatchesFilters(job, filters);
+};
+
+const savedSearchMatches = (search, jobs) =>
+  jobs.filter((j) => isJobOpen(j) && jobMatchesSearch(j, search));
+
+const unseenSavedSearchMatches = (search, jobs) =>
+  savedSearchMatches(search, jobs).filter(
+    (j) => !(search.seenJobIds || []).includes(j.id)
+  );
+
+////////////////////////////////////////////////////////////////////////////////
+// Job match score for students: how many of the job's skills (tags and
+// requirements) the profile covers, plus the location, job type and stage
+// preferences (see DEFAULT_PREFERENCES). Components without data on either
+// side are left out and the remaining weights rescaled.
+////////////////////////////////////////////////////////////////////////////////
+const MATCH_WEIGHTS = { skills: 0.6, location: 0.15, type: 0.15, stage: 0.1 };
+const RECOMMENDED_LIMIT = 3;
+const RECOMMENDED_MIN_SCORE = 40;
+
+// Job preferences (`profile.preferences`), edited in ProfileView. The list
+// fields reuse the filter categories so they can pre-apply as filter chips.
+const DEFAULT_PREFERENCES = {
+  locations: [],
+  types: [],
+  stages: [],
+  minSalary: 0, // annual CHF
+  remote: "open",
+  startDate: "", // YYYY-MM-DD
+};
+
+const PREFERENCE_FIELDS = [
+  { field: "locations", category: "Location", label: "Preferred Locations" },
+  { field: "types", category: "Type", label: "Job Types" },
+  { field: "stages", category: "Stage", label: "Company Stage" },
+];
+
+const REMOTE_OPTIONS = {
+  onsite: "On-site only",
+  open: "Open to remote",
+  only: "Remote only",
+};
+
+// Remote jobs fit anyone open to remote work; "only" rules out the rest.
+const locationFit = (job, { locations = [], remote } = {}) => {
+  const isRemote = job.location === "Remote";
+  if (remote === "only") return isRemote ? 1 : 0;
+  if (isRemote && remote) return remote === "open" ? 1 : 0;
+  return locations.length > 0 && job.location
+    ? locations.includes(job.location)
+      ? 1
+      : 0
+    : null;
+};
+
+const preferenceFilters = (prefs = {}) => {
+  const keys = PREFERENCE_FIELDS.flatMap(({ field, category }) =>
+    (prefs[field] || []).map((value) => filterKey(category, value))
+  );
+  const remoteKey = filterKey("Location", "Remote");
+  if (prefs.remote === "only") {
+    return [
+      ...keys.filter((k) => parseFilterKey(k).category !== "Location"),
+      remoteKey,
+    ];
+  }
+  if (prefs.remote === "onsite") return keys.filter((k) => k !== remoteKey);
+  const hasLocations = (prefs.locations || []).length > 0;
+  return hasLocations ? [...new Set([...keys, remoteKey])] : keys;
+};
+
+// "React" covers the requirement "React experience"; "Machine Learning"
+// needs both words somewhere in the job skill.
+const skillCovers = (skill, jobSkill) => {
+  const needed = tokenize(skill);
+  const have = new Set(tokenize(jobSkill));
+  return needed.length > 0 && needed.every((t) => have.has(t));
+};
+
+const jobSkills = (job) => {
+  const seen = new Set();
+  return [...(job.tags || []), ...(job.requirements || [])].filter((s) => {
+    const key = foldText(s);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// → { score (0-100), matchedSkills, missingSkills }, or null when there's
+// nothing to compare (no skills and no preferences).
+const computeJobMatch = (job, profile = {}) => {
+  const skills = profile.skills || [];
+  const prefs = profile.preferences || {};
+  const required = jobSkills(job);
+  const matchedSkills = required.filter((js) =>
+    skills.some((s) => skillCovers(s, js))
+  );
+  const prefers = (list, value) =>
+    list?.length > 0 && value ? (list.includes(value) ? 1 : 0) : null;
+  const parts = {
+    skills:
+      skills.length > 0 && required.length > 0
+        ? matchedSkills.length / required.length
+        : null,
+    location: locationFit(job, prefs),
+    type: prefers(prefs.types, job.type),
+    stage: prefers(prefs.stages, job.stage),
+  };
+  const used = Object.keys(parts).filter((k) => parts[k] != null);
+  if (used.length === 0) return null;
+  const totalWeight = used.reduce((sum, k) => sum + MATCH_WEIGHTS[k], 0);
+  const score = used.reduce(
+    (sum, k) => sum + (parts[k] * MATCH_WEIGHTS[k]) / totalWeight,
+    0
+  );
+  return {
+    score: Math.round(score * 100),
+    matchedSkills,
+    missingSkills: required.filter((js) => !matchedSkills.includes(js)),
+  };
+};
+
+const MATCH_STYLES = [
+  { min: 75, className: "bg-green-100 text-green-700" },
+  { min: 50, className: "bg-blue-100 text-blue-700" },
+  { min: 0, className: "bg-gray-100 text-gray-600" },
+];
+
+const matchStyle = (score) =>
+  MATCH_STYLES.find((s) => score >= s.min).className;
+
+// Missing values sort last; ties fall back to recency. `relevanceOf` scores
+// jobs for the "relevance" sort (see jobSearchScore).
+const sortJobs = (list, sortBy, relevanceOf = () => 0) => {
+  const byRecency = (a, b) => jobPostedDays(a) - jobPostedDays(b);
+  const desc = (x, y) => (y ?? -Infinity) - (x ?? -Infinity);
+  const compare = {
+    relevance: (a, b) =>
+      desc(relevanceOf(a), relevanceOf(b)) || byRecency(a, b),
+    recent: byRecency,
+    salary: (a, b) => {
+      const sa = parseCompensation(a).annualChf;
+      const sb = parseCompensation(b).annualChf;
+      return (
+        desc(sa?.max, sb?.max) || desc(sa?.min, sb?.min) || byRecency(a, b)
+      );
+    },
+    equity: (a, b) =>
+      desc(
+        parseCompensation(a).equity.percent,
+        parseCompensation(b).equity.percent
+      ) || byRecency(a, b),
+  }[sortBy];
+  return compare ? [...list].sort(compare) : list;
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Server-side jobs feed. GET /jobs takes the search, filter chips, minimum
+// salary, sort and a cursor, and answers with one page:
+//   { items, total, nextCursor, facets? }
+// Filters go out one param per category (location=Zurich,Remote&skills=React),
+// and `facets` uses the buildFilterFacets shape. Older servers send the
+// whole list as a plain array; then (and for the mock fallback) the list is
+// filtered and sorted client-side instead.
+////////////////////////////////////////////////////////////////////////////////
+const JOBS_PAGE_SIZE = 20;
+
+// Empty values are left out so the cache key only reflects what's applied.
+const jobQueryParams = ({ term, filters, minSalary, sort, cursor }) => {
+  const params = { sort, limit: JOBS_PAGE_SIZE };
+  if (term.trim()) params.search = term.trim();
+  Object.entries(groupFilters(filters)).forEach(([group, values]) => {
+    if (FILTER_CATEGORIES.some((c) => c.category === group)) {
+      params[group.toLowerCase()] = values.join(",");
+    } else {
+      params.filters = [params.filters, ...values].filter(Boolean).join(",");
+    }
+  });
+  if (minSalary > 0) params.minSalary = minSalary;
+  if (cursor) params.cursor = cursor;
+  return params;
+};
+
+const readJobsPage = (data) =>
+  data && Array.isArray(data.items)
+    ? {
+        items: data.items,
+        total: data.total ?? data.items.length,
+        nextCursor: data.nextCursor || null,
+        facets: Array.isArray(data.facets) ? data.facets : null,
+      }
+    : null;
+
+// Replaces jobs already in `base` (keeping their position) and appends the rest.
+const mergeJobsById = (base, incoming) => {
+  const byId = new Map(incoming.map((j) => [j.id, j]));
+  const merged = base.map((j) => byId.get(j.id) || j);
+  const known = new Set(base.map((j) => j.id));
+  return [...merged, ...incoming.filter((j) => !known.has(j.id))];
+};
+
+const LOCAL_JOB_FEED = {
+  serverSide: false,
+  items: [],
+  total: 0,
+  nextCursor: null,
+  facets: null,
+};
+
+function useDebounced(value, delay = 300) {
+  const [v, setV] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setV(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return v;
+}
+
+const readStoredJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.warn(`Bad ${key} in localStorage`, err);
+    return fallback;
+  }
+};
+
+// Jobs without a status (mocks, older API payloads) count as open.
+const isJobOpen = (job) => !job.status || job.status === "open";
+
+const JOB_STATUS_LABELS = {
+  open: "Open",
+  paused: "Paused",
+  closed: "Closed",
+};
+
+const JOB_STATUS_STYLES = {
+  open: "bg-green-100 text-green-700",
+  paused: "bg-yellow-100 text-yellow-700",
+  closed: "bg-gray-100 text-gray-600",
+};
+
+// Postings created/edited while the API is unreachable live under "postedJobs"
+// and override jobs with the same id when the feed falls back to mocks.
+const mergeLocalJobs = (baseJobs) => {
+  const local = readStoredJSON("postedJobs", []);
+  const localIds = new Set(local.map((j) => j.id));
+  return [...local, ...baseJobs.filter((j) => !localIds.has(j.id))];
+};
+
+const storeLocalJob = (job) => {
+  const local = readStoredJSON("postedJobs", []);
+  const next = [job, ...local.filter((j) => j.id !== job.id)];
+  localStorage.setItem("postedJobs", JSON.stringify(next));
+};
+
+// Application pipeline: pending → reviewed → interview → accepted/rejected
+const APPLICATION_STATUSES = [
+  "pending",
+  "reviewed",
+  "interview",
+  "accepted",
+  "rejected",
+];
+
+const APPLICATION_TRANSITIONS = {
+  pending: ["reviewed", "rejected"],
+  reviewed: ["interview", "rejected"],
+  interview: ["accepted", "rejected"],
+  accepted: [],
+  rejected: [],
+};
+
+const APPLICATION_STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-700",
+  reviewed: "bg-blue-100 text-blue-700",
+  interview: "bg-purple-100 text-purple-700",
+  accepted: "bg-green-100 text-green-700",
+  rejected: "bg-red-100 text-red-700",
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// The "applications" store is shared by every account on this browser, so a
+// student applying and a recruiter reviewing see the same local records.
+const storeLocalApplication = (app) => {
+  const local = readStoredJSON("applications", []);
+  const next = [...local.filter((a) => a.id !== app.id), app];
+  localStorage.setItem("applications", JSON.stringify(next));
+};
+
+const readLocalApplications = () => {
+  const local = readStoredJSON("applications", []);
+  const localIds = new Set(local.map((a) => a.id));
+  return [...MOCK_APPLICATIONS.filter((a) => !localIds.has(a.id)), ...local];
+};
+
+const localApplicationsForJob = (jobId) =>
+  readLocalApplications().filter((a) => a.jobId === jobId);
+
+// Entries written before applicant info was recorded belong to whoever is
+// signed in on this browser.
+const isOwnApplication = (app, user) =>
+  !app.applicant || app.applicant.email === user?.email;
+
+////////////////////////////////////////////////////////////////////////////////
+// Interview scheduling. Once an application reaches "interview" the startup
+// proposes a few slots and the candidate books one of them:
+//   app.interview = { slots: [{ id, start }], durationMinutes, timeZone,
+//                     location, proposedBy, proposedAt, confirmedSlotId,
+//                     confirmedAt }
+// `start` is a UTC ISO string and `timeZone` the proposer's, shown next to the
+// viewer's own when the two differ. A slot overlapping an interview already
+// booked (by the team, or by the candidate elsewhere) can't be proposed or
+// accepted. Calendar files are generated in the browser.
+////////////////////////////////////////////////////////////////////////////////
+const INTERVIEW_DURATIONS = [30, 45, 60, 90];
+const MAX_INTERVIEW_SLOTS = 5;
+
+const localTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const slotRange = (interview, slot) => {
+  const start = new Date(slot.start).getTime();
+  return { start, end: start + interview.durationMinutes * 60 * 1000 };
+};
+
+const confirmedSlot = (interview) =>
+  interview?.slots.find((s) => s.id === interview.confirmedSlotId) || null;
+
+// Booked interviews as { applicationId, start, end, label } (ms), the shape
+// GET /interviews answers with (its times may be ISO strings).
+const bookedInterviews = (apps, describe) =>
+  apps.flatMap((app) => {
+    const slot = app.status === "interview" && confirmedSlot(app.interview);
+    return slot
+      ? [
+          {
+            applicationId: app.id,
+            ...slotRange(app.interview, slot),
+            label: describe(app),
+          },
+        ]
+      : [];
+  });
+
+const findConflict = (range, booked, applicationId) =>
+  booked.find(
+    (b) =>
+      b.applicationId !== applicationId &&
+      range.start < new Date(b.end).getTime() &&
+      new Date(b.start).getTime() < range.end
+  ) || null;
+
+// "Tue, 21 Oct, 10:00–10:45 CEST" in `timeZone`
+const formatInterviewTime = (interview, slot, timeZone) => {
+  const { start, end } = slotRange(interview, slot);
+  const time = (ms, extra) =>
+    new Date(ms).toLocaleTimeString(undefined, {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone,
+      ...extra,
+    });
+  const day = new Date(start).toLocaleDateString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone,
+  });
+  return `${day}, ${time(start)}–${time(end, { timeZoneName: "short" })}`;
+};
+
+const describeInterviewTime = (interview, slot) => {
+  const own = formatInterviewTime(interview, slot, localTimeZone());
+  return interview.timeZone && interview.timeZone !== localTimeZone()
+    ? `${own} (${formatInterviewTime(interview, slot, interview.timeZone)})`
+    : own;
+};
+
+// Local counterparts of the interview endpoints. They throw plain Errors
+// with a message for the user, like the API's 4xx answers.
+const proposeLocalInterview = (app, proposal, user) => ({
+  ...app,
+  interview: {
+    ...proposal,
+    proposedBy: user.name,
+    proposedAt: new Date().toISOString(),
+    confirmedSlotId: null,
+    confirmedAt: null,
+  },
+});
+
+const acceptLocalInterview = (app, slotId, booked) => {
+  const slot = app.interview?.slots.find((s) => s.id === slotId);
+  if (!slot) throw new Error("That interview time is no longer offered.");
+  const conflict = findConflict(slotRange(app.interview, slot), booked, app.id);
+  if (conflict) throw new Error(`That time overlaps ${conflict.label}.`);
+  return {
+    ...app,
+    interview: {
+      ...app.interview,
+      confirmedSlotId: slotId,
+      confirmedAt: new Date().toISOString(),
+    },
+  };
+};
+
+// iCalendar (RFC 5545): UTC times, escaped text, lines folded at 75 octets.
+const icsDate = (ms) =>
+  new Date(ms)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const icsText = (text) =>
+  String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/[,;]/g, (c) => `\\${c}`);
+
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const cp = ch.codePointAt(0);
+    const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    // continuation lines start with a space, which counts too
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  return [...parts, current].join("\r\n ");
+};
+
+const buildInterviewIcs = ({ app, job, companyName }) => {
+  const slot = confirmedSlot(app.interview);
+  const { start, end } = slotRange(app.interview, slot);
+  const applicant = app.applicant
+    ? `${app.applicant.name} (${app.applicant.email})`
+    : "";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//SwissStartup Connect//Interviews//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:interview-${app.id}-${slot.id}@swissstartup-connect`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(`Interview: ${job?.title || "Job"} at ${companyName}`)}`,
+    `DESCRIPTION:${icsText(
+      [
+        applicant && `Candidate: ${applicant}`,
+        `Scheduled by ${app.interview.proposedBy}`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )}`,
+    app.interview.location && `LOCATION:${icsText(app.interview.location)}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+};
+
+const downloadIcs = (ics, filename) => {
+  const url = URL.createObjectURL(
+    new Blob([ics], { type: "text/calendar;charset=utf-8" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// "2025-10-21T10:00" for a datetime-local input, in the browser's zone
+const toDateTimeLocal = (iso) => {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Slot proposal form (module scope so App re-renders don't reset the draft).
+// `booked` are the team's other interviews.
+function InterviewProposalForm({ app, booked, saving, onSubmit, onCancel }) {
+  const [slots, setSlots] = useState(() =>
+    app.interview
+      ? app.interview.slots.map((s) => toDateTimeLocal(s.start))
+      : [""]
+  );
+  const [durationMinutes, setDurationMinutes] = useState(
+    app.interview?.durationMinutes || 45
+  );
+  const [location, setLocation] = useState(app.interview?.location || "");
+
+  const problemFor = (value) => {
+    if (!value) return "";
+    const start = new Date(value).getTime();
+    if (start < Date.now()) return "This time has already passed.";
+    const conflict = findConflict(
+      { start, end: start + durationMinutes * 60 * 1000 },
+      booked,
+      app.id
+    );
+    return conflict ? `Overlaps ${conflict.label}.` : "";
+  };
+  const filled = slots.filter(Boolean);
+  const blocked = filled.length === 0 || filled.some(problemFor);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (blocked) return;
+    onSubmit({
+      slots: filled.map((value, idx) => ({
+        id: `slot-${idx + 1}`,
+        start: new Date(value).toISOString(),
+      })),
+      durationMinutes,
+      timeZone: localTimeZone(),
+      location: location.trim(),
+    });
+  };
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-2";
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div>
+        <label className={labelClass}>Proposed times ({localTimeZone()})</label>
+        <div className="space-y-2">
+          {slots.map((value, idx) => (
+            <div key={idx}>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="datetime-local"
+                  value={value}
+                  onChange={(e) =>
+                    setSlots(
+                      slots.map((s, i) => (i === idx ? e.target.value : s))
+                    )
+                  }
+                  aria-label={`Time ${idx + 1}`}
+                  className={inputClass}
+                />
+                {slots.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => setSlots(slots.filter((_, i) => i !== idx))}
+                    className="text-gray-400 hover:text-gray-600"
+                    aria-label="Remove time"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+              {problemFor(value) && (
+                <p className="text-sm text-red-600 mt-1">{problemFor(value)}</p>
+              )}
+            </div>
+          ))}
+        </div>
+        {slots.length < MAX_INTERVIEW_SLOTS && (
+          <button
+            type="button"
+            onClick={() => setSlots([...slots, ""])}
+            className="text-blue-600 hover:text-blue-700 text-sm mt-2 flex items-center space-x-1"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add another time</span>
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClass}>Duration</label>
+          <select
+            value={durationMinutes}
+            onChange={(e) => setDurationMinutes(Number(e.target.value))}
+            className={inputClass}
+          >
+            {INTERVIEW_DURATIONS.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes} min
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className={labelClass}>Location or video link</label>
+          <input
+            value={location}
+            onChange={(e) => setLocation(e.target.value)}
+            placeholder="https://meet.example.com/techflow"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      {app.interview?.confirmedSlotId && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 rounded-lg p-3">
+          The candidate already booked a time. New times replace the booking and
+          they'll be asked to choose again.
+        </p>
+      )}
+      <div className="flex justify-end space-x-3 pt-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="border border-gray-200 text-gray-600 px-6 py-2 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || blocked}
+          className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-lg disabled:opacity-50"
+        >
+          {saving ? "Sending..." : "Send to candidate"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Startup organizations. An organization belongs to one company and has
+// members, each an owner, recruiter or interviewer, plus pending invites.
+// Postings carry the `organizationId`, so the whole team works on the same
+// jobs and applicants. When the API is unreachable they live under
+// "organizations", so invite codes also work between accounts on one browser.
+////////////////////////////////////////////////////////////////////////////////
+const ORG_ROLE_LABELS = {
+  owner: "Owner",
+  recruiter: "Recruiter",
+  interviewer: "Interviewer",
+};
+const INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+// no look-alikes (0/O, 1/I) so codes survive being read out or retyped
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const readOrganizations = () => {
+  const local = readStoredJSON("organizations", []);
+  const localIds = new Set(local.map((o) => o.id));
+  return [...local, ...MOCK_ORGANIZATIONS.filter((o) => !localIds.has(o.id))];
+};
+
+const storeLocalOrganization = (org) => {
+  const local = readStoredJSON("organizations", []);
+  const next = [org, ...local.filter((o) => o.id !== org.id)];
+  localStorage.setItem("organizations", JSON.stringify(next));
+};
+
+const findLocalOrganization = (id) =>
+  readOrganizations().find((o) => o.id === id) || null;
+
+const organizationMember = (org, email) =>
+  org?.members.find((m) => m.email === email) || null;
+
+const ownerCount = (org) =>
+  org.members.filter((m) => m.role === "owner").length;
+
+// "TECH-7K3P-Q9XM": a prefix from the organization name, then random groups.
+const generateInviteCode = (orgName) => {
+  const prefix =
+    foldText(orgName)
+      .replace(/[^a-z]/g, "")
+      .slice(0, 4)
+      .toUpperCase() || "TEAM";
+  const group = () =>
+    Array.from(
+      { length: 4 },
+      () =>
+        INVITE_CODE_ALPHABET[
+          Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)
+        ]
+    ).join("");
+  return `${prefix}-${group()}-${group()}`;
+};
+
+const normalizeInviteCode = (code) => code.trim().toUpperCase();
+
+const isInviteExpired = (invite) => Date.parse(invite.expiresAt) <= Date.now();
+
+const findLocalInvite = (code) => {
+  const wanted = normalizeInviteCode(code);
+  for (const org of readOrganizations()) {
+    const invite = org.invites.find((i) => i.code === wanted);
+    if (invite) return { org, invite };
+  }
+  return null;
+};
+
+// The invite as an email the inviter sends from their own mail client.
+const inviteMailto = (org, invite) => {
+  const subject = `Join ${org.name} on SwissStartup Connect`;
+  const body =
+    `You've been invited to join ${org.name} as ${ORG_ROLE_LABELS[
+      invite.role
+    ].toLowerCase()}.\n\n` +
+    `Sign up as a startup (or open the Team tab if you already have an ` +
+    `account) and enter this invite code:\n\n${invite.code}\n\n` +
+    `The code expires on ${new Date(invite.expiresAt).toLocaleDateString()}.`;
+  return `mailto:${encodeURIComponent(
+    invite.email
+  )}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+};
+
+// Local counterparts of the organization endpoints. They throw plain Errors
+// with a message for the user, like the API's 4xx answers.
+const createLocalOrganization = ({ company, user }) => {
+  const name = company?.name || user.profile?.company || user.name;
+  if (readOrganizations().some((o) => foldText(o.name) === foldText(name))) {
+    throw new Error(
+      `${name} already has a team here. Ask one of its owners for an invite code.`
+    );
+  }
+  const org = {
+    id: `org-${Date.now()}`,
+    companyId: company?.id || null,
+    name,
+    members: [
+      {
+        email: user.email,
+        name: user.name,
+        role: "owner",
+        joinedAt: new Date().toISOString(),
+      },
+    ],
+    invites: [],
+  };
+  storeLocalOrganization(org);
+  return org;
+};
+
+const acceptLocalInvite = (code, user) => {
+  const found = findLocalInvite(code);
+  if (!found || isInviteExpired(found.invite)) {
+    throw new Error("That invite code isn't valid or has expired.");
+  }
+  const { org, invite } = found;
+  if (invite.email && foldText(invite.email) !== foldText(user.email)) {
+    throw new Error(
+      `That invite was sent to ${invite.email}. Sign in with that address to accept it.`
+    );
+  }
+  const next = {
+    ...org,
+    invites: org.invites.filter((i) => i.code !== invite.code),
+    members: [
+      ...org.members.filter((m) => m.email !== user.email),
+      {
+        email: user.email,
+        name: user.name,
+        role: invite.role,
+        joinedAt: new Date().toISOString(),
+      },
+    ],
+  };
+  storeLocalOrganization(next);
+  return next;
+};
+
+// Stateful forms for the Team tab (module scope so typing keeps focus).
+function TeamInviteForm({ disabled, onInvite }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("recruiter");
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await onInvite({ email: email.trim().toLowerCase(), role })) {
+      setEmail("");
+    }
+  };
+  return (
+    <form onSubmit={submit} className="flex flex-col sm:flex-row gap-3">
+      <input
+        type="email"
+        required
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder="colleague@company.ch"
+        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+      />
+      <select
+        value={role}
+        onChange={(e) => setRole(e.target.value)}
+        className="px-4 py-2 border border-gray-300 rounded-lg"
+      >
+        {Object.entries(ORG_ROLE_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={disabled}
+        className="bg-blue-600 text-white px-5 py-2 rounded-lg disabled:opacity-50"
+      >
+        Create invite
+      </button>
+    </form>
+  );
+}
+
+function JoinOrganizationForm({ companyName, disabled, onJoin, onCreate }) {
+  const [code, setCode] = useState("");
+  return (
+    <div className="space-y-6">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onJoin(code);
+        }}
+        className="space-y-3"
+      >
+        <label className="block text-sm font-medium text-gray-700">
+          Join your team with an invite code
+        </label>
+        <div className="flex gap-3">
+          <input
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="TECH-7K3P-Q9XM"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg font-mono uppercase"
+          />
+          <button
+            type="submit"
+            disabled={disabled}
+            className="bg-blue-600 text-white px-5 py-2 rounded-lg disabled:opacity-50"
+          >
+            Join
+          </button>
+        </div>
+      </form>
+      {companyName && (
+        <div className="border-t border-gray-100 pt-6">
+          <p className="text-sm text-gray-600 mb-3">
+            First one here? Create the team for {companyName} and invite your
+            co-founders.
+          </p>
+          <button
+            onClick={onCreate}
+            disabled={disabled}
+            className="border border-blue-600 text-blue-600 px-5 py-2 rounded-lg disabled:opacity-50"
+          >
+            Create {companyName} team
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Company profiles. Startup owners edit their own company's page (platform
+// admins any company's). Jobs point at their company by `companyId`; older
+// postings only carry its name. Cards and the job modal look the company up,
+// so a new name or logo shows on every job at once. Edits made while the API
+// is unreachable live under "companyEdits" and override the loaded list.
+////////////////////////////////////////////////////////////////////////////////
+const COMPANY_STAGES = ["Pre-seed", "Seed", "Series A", "Series B"];
+const LOGO_MAX_BYTES = 1024 * 1024;
+const LOGO_SIZE = 128; // px, longest side once downscaled
+const LOGO_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+  "image/svg+xml",
+];
+
+const EMPTY_COMPANY = {
+  name: "",
+  logo: "ðŸš€",
+  description: "",
+  stage: "Seed",
+  funding: "",
+  employees: "",
+  benefits: [],
+  techStack: [],
+};
+
+const isCompanyJob = (job, company) =>
+  job.companyId ? job.companyId === company.id : job.company === company.name;
+
+const findJobCompany = (job, companies) =>
+  companies.find((c) => isCompanyJob(job, c)) || null;
+
+const mergeLocalCompanies = (baseCompanies) => {
+  const local = readStoredJSON("companyEdits", []);
+  const byKey = new Map(local.map((c) => [companyRouteKey(c), c]));
+  const merged = baseCompanies.map((c) => ({
+    ...c,
+    ...byKey.get(companyRouteKey(c)),
+  }));
+  const baseKeys = new Set(baseCompanies.map(companyRouteKey));
+  return [...merged, ...local.filter((c) => !baseKeys.has(companyRouteKey(c)))];
+};
+
+const storeLocalCompany = (company) => {
+  const key = companyRouteKey(company);
+  const local = readStoredJSON("companyEdits", []);
+  const next = [company, ...local.filter((c) => companyRouteKey(c) !== key)];
+  localStorage.setItem("companyEdits", JSON.stringify(next));
+};
+
+// Uploaded logos are image URLs (data: or from the server); everything else
+// is an emoji.
+const isImageLogo = (logo) => /^(data:image\/|https?:\/\/|\/)/.test(logo || "");
+
+const validateLogoFile = (file) => {
+  if (!LOGO_TYPES.includes(file.type)) {
+    return `${file.name} isn't a PNG, JPEG, WebP, GIF or SVG image.`;
+  }
+  if (file.size > LOGO_MAX_BYTES) {
+    return `${file.name} is ${formatBytes(
+      file.size
+    )}; the limit is ${formatBytes(LOGO_MAX_BYTES)}.`;
+  }
+  return "";
+};
+
+// Fits the image into LOGO_SIZE so the data URL stays small enough to send
+// and store with the company. Without canvas support, or if the image can't
+// be decoded, the original is kept.
+const downscaleImage = (dataUrl) =>
+  new Promise((resolve) => {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext?.("2d");
+    if (!context) return resolve(dataUrl);
+    const img = new Image();
+    img.onerror = () => resolve(dataUrl);
+    img.onload = () => {
+      const scale = Math.min(1, LOGO_SIZE / Math.max(img.width, img.height));
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      context.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/png"));
+    };
+    img.src = dataUrl;
+  });
+
+const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+const readLogoFile = (file) =>
+  readFileAsDataUrl(file).then((dataUrl) =>
+    file.type === "image/svg+xml" ? dataUrl : downscaleImage(dataUrl)
+  );
+
+// Sized in em so it drops into the emoji's text-size wrappers unchanged.
+function CompanyLogo({ logo }) {
+  if (!isImageLogo(logo)) return logo || "ðŸš€";
+  return (
+    <img
+      src={logo}
+      alt=""
+      className="inline-block object-contain rounded"
+      style={{ width: "1.25em", height: "1.25em" }}
+    />
+  );
+}
+
+// Company editor (module scope so App re-renders don't reset the draft)
+function CompanyProfileForm({ initial, saving, onSubmit, onCancel }) {
+  const [form, setForm] = useState(() => {
+    const base = { ...EMPTY_COMPANY, ...(initial || {}) };
+    return {
+      ...base,
+      employees: base.employees ?? "",
+      benefitsInput: (base.benefits || []).join("\n"),
+      techStackInput: (base.techStack || []).join(", "),
+    };
+  });
+  const [logoError, setLogoError] = useState("");
+
+  const update = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.value });
+
+  const pickLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const problem = validateLogoFile(file);
+    setLogoError(problem);
+    if (problem) return;
+    try {
+      const logo = await readLogoFile(file);
+      setForm((prev) => ({ ...prev, logo }));
+    } catch (err) {
+      setLogoError(`${file.name} couldn't be read.`);
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const { benefitsInput, techStackInput, ...rest } = form;
+    onSubmit({
+      ...rest,
+      name: rest.name.trim(),
+      logo: rest.logo || EMPTY_COMPANY.logo,
+      employees: rest.employees === "" ? null : Number(rest.employees),
+      benefits: splitList(benefitsInput, "\n"),
+      techStack: splitList(techStackInput, ","),
+    });
+  };
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-2";
+  const imageLogo = isImageLogo(form.logo);
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div>
+        <label className={labelClass}>Company Name</label>
+        <input
+          required
+          value={form.name}
+          onChange={update("name")}
+          placeholder="TechFlow AG"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className={labelClass}>Logo</label>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="text-5xl w-20 h-20 flex items-center justify-center bg-gray-50 rounded-lg">
+            <CompanyLogo logo={form.logo} />
+          </div>
+          <label className="cursor-pointer border border-blue-600 text-blue-600 px-4 py-2 rounded-lg inline-flex items-center space-x-2">
+            <Upload className="w-4 h-4" />
+            <span>Upload image</span>
+            <input
+              type="file"
+              accept={LOGO_TYPES.join(",")}
+              onChange={pickLogo}
+              className="hidden"
+            />
+          </label>
+          <input
+            value={imageLogo ? "" : form.logo}
+            onChange={update("logo")}
+            placeholder={imageLogo ? "or an emoji instead" : "Emoji"}
+            aria-label="Emoji logo"
+            className="w-40 px-4 py-2 border border-gray-300 rounded-lg"
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          PNG, JPEG, WebP, GIF or SVG up to {formatBytes(LOGO_MAX_BYTES)}.
+        </p>
+        {logoError && <p className="text-sm text-red-600 mt-1">{logoError}</p>}
+      </div>
+      <div>
+        <label className={labelClass}>Description</label>
+        <textarea
+          required
+          rows={4}
+          value={form.description}
+          onChange={update("description")}
+          className={inputClass}
+        />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClass}>Stage</label>
+          <select
+            value={form.stage}
+            onChange={update("stage")}
+            className={inputClass}
+          >
+            {COMPANY_STAGES.map((stage) => (
+              <option key={stage}>{stage}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Funding</label>
+          <input
+            value={form.funding}
+            onChange={update("funding")}
+            placeholder="CHF 2M"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Employees</label>
+          <input
+            type="number"
+            min="1"
+            value={form.employees}
+            onChange={update("employees")}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Benefits (one per line)</label>
+          <textarea
+            rows={4}
+            value={form.benefitsInput}
+            onChange={update("benefitsInput")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Tech stack (comma separated)</label>
+          <textarea
+            rows={4}
+            value={form.techStackInput}
+            onChange={update("techStackInput")}
+            placeholder="React, Node.js, PostgreSQL"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div className="flex justify-end space-x-3 pt-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="border border-gray-200 text-gray-600 px-6 py-2 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-lg"
+        >
+          {saving
+            ? "Saving..."
+            : initial?.name
+            ? "Save Changes"
+            : "Create Company Profile"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Routing (plain history API)
+//
+//   /jobs[?q=&filter=&minSalary=&sort=]   job list, search encoded in the query
+//   /jobs/:idOrSlug                       job list with JobDetailModal open
+//   /companies/:id                        company profile page
+//   /companies /saved /applications /profile /postings /team
+////////////////////////////////////////////////////////////////////////////////
+const ROUTE_TABS = [
+  "jobs",
+  "companies",
+  "saved",
+  "applications",
+  "profile",
+  "postings",
+  "team",
+];
+
+const jobRouteKey = (job) => job.idSlug || job.id;
+
+// API companies may come without an id; fall back to the name.
+const companyRouteKey = (company) => company.id || company.name;
+
+const findJobByRouteKey = (jobs, key) =>
+  jobs.find((j) => j.idSlug === key || j.id === key);
+
+const parseRoute = ({ pathname, search }) => {
+  const [first, second] = pathname.split("/").filter(Boolean);
+  const params = new URLSearchParams(search);
+  return {
+    tab: ROUTE_TABS.includes(first) ? first : "jobs",
+    jobKey: first === "jobs" && second ? decodeURIComponent(second) : null,
+    companyKey:
+      first === "companies" && second ? decodeURIComponent(second) : null,
+    term: params.get("q") || "",
+    filters: params.getAll("filter"),
+    minSalary: Number(params.get("minSalary")) || 0,
+    sort: JOB_SORTS[params.get("sort")] ? params.get("sort") : DEFAULT_JOB_SORT,
+  };
+};
+
+const buildRoute = ({
+  tab,
+  job,
+  companyKey,
+  term,
+  filters,
+  minSalary,
+  sort,
+}) => {
+  if (job) return `/jobs/${encodeURIComponent(jobRouteKey(job))}`;
+  if (tab === "companies" && companyKey) {
+    return `/companies/${encodeURIComponent(companyKey)}`;
+  }
+  if (tab !== "jobs") return `/${tab}`;
+  const params = new URLSearchParams();
+  if (term.trim()) params.set("q", term.trim());
+  filters.forEach((f) => params.append("filter", f));
+  if (minSalary > 0) params.set("minSalary", String(minSalary));
+  if (sort !== DEFAULT_JOB_SORT) params.set("sort", sort);
+  const qs = params.toString();
+  return `/jobs${qs ? `?${qs}` : ""}`;
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Offline sync queue. Writes that fell back to localStorage are recorded
+// under "syncQueue" and replayed in order once the API is reachable again.
+// Entries: { id, type, payload, owner, createdAt, attempts, nextAttemptAt }
+////////////////////////////////////////////////////////////////////////////////
+const SYNC_RETRY_BASE_MS = 2000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+
+const SYNC_HANDLERS = {
+  saveJob: ({ jobId }) => apiClient.saveJob(jobId),
+  unsaveJob: ({ jobId }) => apiClient.unsaveJob(jobId),
+  apply: ({ jobId, coverLetter, details }) =>
+    apiClient.applyToJob(jobId, coverLetter, details),
+  updateProfile: ({ profile }) => apiClient.updateProfile(profile),
+  deleteResume: ({ id }) => apiClient.deleteResume(id),
+  sendMessage: ({ applicationId, message }) =>
+    apiClient.sendMessage(applicationId, message),
+};
+
+const SYNC_LABELS = {
+  saveJob: "Saving a job",
+  unsaveJob: "Removing a saved job",
+  apply: "Your application",
+  updateProfile: "Your profile changes",
+  deleteResume: "Deleting a resume",
+  sendMessage: "Your message",
+};
+
+const syncRetryDelay = (attempts) =>
+  Math.min(SYNC_RETRY_BASE_MS * 2 ** attempts, SYNC_RETRY_MAX_MS);
+
+// A save cancels a pending unsave of the same job (and vice versa), and only
+// the latest profile edit is kept.
+const enqueueMutation = (queue, type, payload, owner) => {
+  if (type === "saveJob" || type === "unsaveJob") {
+    const opposite = type === "saveJob" ? "unsaveJob" : "saveJob";
+    const pending = queue.find(
+      (m) =>
+        m.owner === owner &&
+        m.type === opposite &&
+        m.payload.jobId === payload.jobId
+    );
+    if (pending) return queue.filter((m) => m !== pending);
+  }
+  const rest =
+    type === "updateProfile"
+      ? queue.filter((m) => !(m.owner === owner && m.type === type))
+      : queue;
+  return [
+    ...rest,
+    {
+      id: `sync-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      type,
+      payload,
+      owner,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: Date.now() + syncRetryDelay(0),
+    },
+  ];
+};
+
+const ownMutations = (queue, owner) => queue.filter((m) => m.owner === owner);
+
+// Server state wins, except where this user still has writes queued.
+const overlayPendingMutations = ({ savedJobs, applications }, queue, owner) =>
+  ownMutations(queue, owner).reduce(
+    (state, { type, payload }) => {
+      if (type === "saveJob" && !state.savedJobs.includes(payload.jobId)) {
+        return { ...state, savedJobs: [...state.savedJobs, payload.jobId] };
+      }
+      if (type === "unsaveJob") {
+        return {
+          ...state,
+          savedJobs: state.savedJobs.filter((id) => id !== payload.jobId),
+        };
+      }
+      if (
+        type === "apply" &&
+        !state.applications.some((a) => a.jobId === payload.jobId)
+      ) {
+        return {
+          ...state,
+          applications: [...state.applications, payload.application],
+        };
+      }
+      return state;
+    },
+    { savedJobs, applications }
+  );
+
+////////////////////////////////////////////////////////////////////////////////
+// Notifications derived from local data (used when /notifications is
+// unreachable). Ids are stable per event so read state survives reloads.
+////////////////////////////////////////////////////////////////////////////////
+const MATCH_WINDOW_DAYS = 7;
+const CLOSING_SOON_DAYS = 3;
+
+function buildNotifications({
+  user,
+  jobs,
+  applications,
+  savedJobs,
+  savedSearches,
+}) {
+  if (!user) return [];
+  const jobById = new Map(jobs.map((j) => [j.id, j]));
+  const list = [];
+
+  // application status changes made by someone other than the applicant
+  for (const app of applications) {
+    const job = jobById.get(app.jobId);
+    for (const entry of (app.history || []).slice(1)) {
+      list.push({
+        id: `status-${app.id}-${entry.status}`,
+        message: `Your application for ${job?.title || "a job"}${
+          job ? ` at ${job.company}` : ""
+        } moved to ${capitalize(entry.status)}`,
+        createdAt: entry.changedAt,
+        tab: "applications",
+      });
+    }
+    // interview times waiting for the candidate to pick one
+    const interview = app.status === "interview" && app.interview;
+    if (interview && !interview.confirmedSlotId) {
+      list.push({
+        id: `interview-${app.id}-${interview.proposedAt}`,
+        message: `${job ? job.company : "A startup"} proposed interview times${
+          job ? ` for ${job.title}` : ""
+        }. Pick one that suits you.`,
+        createdAt: interview.proposedAt,
+        tab: "applications",
+      });
+    }
+  }
+
+  // recently posted jobs that share a tag with the user's skills
+  const skills = (user.profile?.skills || []).map((s) => s.toLowerCase());
+  if (skills.length > 0) {
+    for (const job of jobs) {
+      if (!isJobOpen(job) || jobPostedDays(job) > MATCH_WINDOW_DAYS) continue;
+      if (!(job.tags || []).some((t) => skills.includes(t.toLowerCase())))
+        continue;
+      list.push({
+        id: `match-${job.id}`,
+        message: `New job matching your skills: ${job.title} at ${job.company}`,
+        createdAt:
+          job.createdAt ||
+          new Date(Date.now() - jobPostedDays(job) * 86400000).toISOString(),
+        jobId: job.id,
+      });
+    }
+  }
+
+  // saved jobs whose application deadline is close
+  for (const jobId of savedJobs) {
+    const job = jobById.get(jobId);
+    const days = job && jobClosesInDays(job);
+    if (days == null || days < 0 || days > CLOSING_SOON_DAYS) continue;
+    list.push({
+      id: `closing-${job.id}`,
+      message: `${job.title} at ${job.company} closes ${
+        days === 0 ? "today" : `in ${days} day${days === 1 ? "" : "s"}`
+      }`,
+      createdAt: new Date().toISOString(),
+      jobId: job.id,
+    });
+  }
+
+  // jobs matching a saved search that the user hasn't looked at yet
+  for (const search of savedSearches) {
+    for (const job of unseenSavedSearchMatches(search, jobs)) {
+      list.push({
+        id: `search-${search.id}-${job.id}`,
+        message: `New match for "${search.name}": ${job.title} at ${job.company}`,
+        createdAt:
+          job.createdAt ||
+          new Date(Date.now() - jobPostedDays(job) * 86400000).toISOString(),
+        jobId: job.id,
+      });
+    }
+  }
+
+  return list;
+}
+
+const splitList = (text, separator) =>
+  text
+    .split(separator)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+////////////////////////////////////////////////////////////////////////////////
+// Resume parsing. Runs entirely in the browser on the local file: plain text
+// as-is, DOCX by unzipping word/document.xml, PDF by decoding its text
+// operators. Good enough for typical generated resumes; scanned PDFs or
+// embedded (CID) fonts yield no text and simply produce no suggestions.
+////////////////////////////////////////////////////////////////////////////////
+const RESUME_SKILL_VOCABULARY = [
+  "JavaScript",
+  "TypeScript",
+  "React",
+  "Vue",
+  "Angular",
+  "Node.js",
+  "Python",
+  "Java",
+  "Kotlin",
+  "Swift",
+  "Go",
+  "Rust",
+  "C++",
+  "C#",
+  "SQL",
+  "PostgreSQL",
+  "MongoDB",
+  "GraphQL",
+  "AWS",
+  "Docker",
+  "Kubernetes",
+  "Git",
+  "Machine Learning",
+  "Deep Learning",
+  "TensorFlow",
+  "PyTorch",
+  "Data Analysis",
+  "Figma",
+  "UX",
+  "UI Design",
+  "Product Management",
+  "Marketing",
+  "Sales",
+  "Excel",
+];
+
+const readFileBytes = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+
+// "deflate-raw" for ZIP entries, "deflate" (zlib) for PDF streams.
+const inflateBytes = async (data, format) => {
+  if (typeof DecompressionStream === "undefined") return null;
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const latin1 = (bytes) => new TextDecoder("latin1").decode(bytes);
+
+// Finds `name` through the ZIP central directory and returns its bytes.
+const readZipEntry = async (bytes, name) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return null;
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) return null;
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const entryName = new TextDecoder().decode(
+      bytes.subarray(offset + 46, offset + 46 + nameLength)
+    );
+    if (entryName === name) {
+      const start =
+        localOffset +
+        30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return data;
+      return method === 8 ? inflateBytes(data, "deflate-raw") : null;
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const docxText = async (bytes) => {
+  const xml = await readZipEntry(bytes, "word/document.xml");
+  if (!xml) return "";
+  return new TextDecoder()
+    .decode(xml)
+    .replace(/<\/w:p>|<w:br\/>/g, "\n")
+    .replace(/<w:tab\/>/g, "\t")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => XML_ENTITIES[e]);
+};
+
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+const pdfString = (literal) =>
+  literal
+    .slice(1, -1)
+    .replace(/\\([0-7]{1,3}|.)/gs, (_, esc) =>
+      /^[0-7]/.test(esc)
+        ? String.fromCharCode(parseInt(esc, 8))
+        : PDF_ESCAPES[esc] ?? (esc === "\n" ? "" : esc)
+    );
+
+// Text showing operators (Tj, TJ, ', ") between BT/ET; moves to a new line
+// become line breaks so line-based extraction below still works.
+const pdfContentText = (content) => {
+  const tokenRe =
+    /\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+  let out = "";
+  let operands = [];
+  let array = null;
+  for (const [token] of content.matchAll(tokenRe)) {
+    if (token === "[") {
+      array = [];
+    } else if (token === "]") {
+      operands.push(array || []);
+      array = null;
+    } else if (token.startsWith("(")) {
+      (array || operands).push(pdfString(token));
+    } else if (/^-?\d*\.?\d+$/.test(token)) {
+      (array || operands).push(Number(token));
+    } else if (/^[A-Za-z'"*]/.test(token)) {
+      const op = token;
+      const last = operands[operands.length - 1];
+      if (op === "Tj" && typeof last === "string") out += last;
+      if ((op === "'" || op === '"') && typeof last === "string") {
+        out += `\n${last}`;
+      }
+      if (op === "TJ" && Array.isArray(last)) {
+        // large negative kerning is how PDFs space words
+        for (const part of last) {
+          if (typeof part === "string") out += part;
+          else if (part < -200) out += " ";
+        }
+      }
+      if (op === "Td" || op === "TD") out += operands[1] ? "\n" : " ";
+      if (op === "T*" || op === "Tm" || op === "ET") out += "\n";
+      operands = [];
+    }
+  }
+  return out;
+};
+
+const pdfText = async (bytes) => {
+  const raw = latin1(bytes);
+  const chunks = [];
+  const streamRe = /stream\r?\n/g;
+  let match;
+  while ((match = streamRe.exec(raw))) {
+    if (raw.slice(match.index - 3, match.index) === "end") continue;
+    const dict = raw.slice(raw.lastIndexOf("obj", match.index), match.index);
+    const start = match.index + match[0].length;
+    // a direct length only: "/Length 12 0 R" points at another object
+    const length = /\/Length (\d+)\b(?!\s+\d+\s+R)/.exec(dict);
+    const end = length
+      ? start + Number(length[1])
+      : raw.indexOf("endstream", start);
+    if (end < start) break;
+    let data = bytes.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      data = await inflateBytes(data, "deflate").catch(() => null);
+    } else if (/\/Filter/.test(dict)) {
+      data = null; // images and other encodings carry no text we can read
+    }
+    if (data) chunks.push(pdfContentText(latin1(data)));
+    streamRe.lastIndex = end;
+  }
+  return chunks.join("\n");
+};
+
+const resumeText = async (file) => {
+  const bytes = await readFileBytes(file);
+  const name = file.name.toLowerCase();
+  if (name.endsWith(".pdf") || latin1(bytes.subarray(0, 5)) === "%PDF-") {
+    return pdfText(bytes);
+  }
+  if (name.endsWith(".docx")) return docxText(bytes);
+  if (name.endsWith(".doc")) return ""; // legacy binary format
+  return new TextDecoder().decode(bytes);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const UNIVERSITY_RE =
+  /(ETH Z(?:ü|ue|u)rich|EPFL|HSG|University of [\p{Lu}][\p{L}]+(?: [\p{Lu}][\p{L}]+)?|[\p{Lu}][\p{L}]+ University|Universit(?:ät|at|é|e|à|a) (?:de |di )?[\p{Lu}][\p{L}]+|[\p{Lu}][\p{L}]+ (?:Hochschule|College|Institute of Technology))/u;
+
+const DEGREE_RE =
+  /\b(?:B\.?\s?Sc|M\.?\s?Sc|B\.?\s?A|M\.?\s?A|Bachelor(?:'s)?|Master(?:'s)?|Ph\.?\s?D)\.?(?: of (?:Science|Arts))?(?: degree)?\s*(?:in|of|,|:|-)?\s+([\p{Lu}][\p{L}&/ ]{2,60})/u;
+
+const NAME_RE = /^[\p{Lu}][\p{Ll}'-]+(?: [\p{Lu}][\p{Ll}'-]+){1,3}$/u;
+
+// → { name, email, phone, university, major, skills }; fields that weren't
+// found are left empty. `knownSkills` adds e.g. tags from loaded jobs.
+const extractResumeDetails = (text, knownSkills = []) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  const flat = lines.join("\n");
+  const folded = foldText(flat);
+  const skills = [...new Set([...RESUME_SKILL_VOCABULARY, ...knownSkills])]
+    .filter((skill) =>
+      new RegExp(
+        `(?:^|[^a-z0-9])${escapeRegExp(foldText(skill))}(?![a-z0-9+#])`
+      ).test(folded)
+    )
+    .sort();
+  const major = DEGREE_RE.exec(flat)?.[1]
+    .split(/ at | - |,|\(|\n|\d/)[0]
+    .trim();
+  return {
+    name:
+      lines
+        .slice(0, 5)
+        .find((l) => NAME_RE.test(l) && !/resume|curriculum|vitae/i.test(l)) ||
+      "",
+    email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/.exec(flat)?.[0] || "",
+    phone:
+      /(?:\+|00)\d{2,3}[\s./-]?(?:\(0\)\s?)?\d{2,3}(?:[\s./-]?\d{2,4}){2,3}|\b0\d{2}[\s./-]?\d{3}[\s./-]?\d{2}[\s./-]?\d{2}\b/
+        .exec(flat)?.[0]
+        .trim() || "",
+    university: UNIVERSITY_RE.exec(flat)?.[1] || "",
+    major: major || "",
+    skills,
+  };
+};
+
+const parseResumeFile = async (file, knownSkills) =>
+  extractResumeDetails(await resumeText(file), knownSkills);
+
+const RESUME_FIELDS = [
+  { field: "name", label: "Full Name" },
+  { field: "email", label: "Email" },
+  { field: "phone", label: "Phone" },
+  { field: "university", label: "University" },
+  { field: "major", label: "Major" },
+];
+
+// Review step: each found value is a checkbox; fields that differ from the
+// profile are preselected when the profile is still empty there.
+function ResumeReview({ details, current, onAccept, onClose }) {
+  const fields = RESUME_FIELDS.filter(
+    ({ field }) => details[field] && details[field] !== current[field]
+  );
+  const newSkills = details.skills.filter(
+    (s) =>
+      !(current.skills || []).some((c) => c.toLowerCase() === s.toLowerCase())
+  );
+  const [picked, setPicked] = useState(() => ({
+    ...Object.fromEntries(fields.map(({ field }) => [field, !current[field]])),
+    ...Object.fromEntries(newSkills.map((s) => [`skill:${s}`, true])),
+  }));
+  const toggle = (key) => setPicked((p) => ({ ...p, [key]: !p[key] }));
+  const accept = () =>
+    onAccept({
+      ...Object.fromEntries(
+        fields
+          .filter(({ field }) => picked[field])
+          .map(({ field }) => [field, details[field]])
+      ),
+      skills: newSkills.filter((s) => picked[`skill:${s}`]),
+    });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-semibold">Review resume details</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          We read these from your resume. Pick what to copy into your profile;
+          nothing is saved until you save your profile.
+        </p>
+        {fields.length === 0 && newSkills.length === 0 ? (
+          <p className="text-gray-600 mb-4">
+            Your profile already has everything we found.
+          </p>
+        ) : (
+          <div className="space-y-3 mb-6">
+            {fields.map(({ field, label }) => (
+              <label key={field} className="flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  checked={picked[field]}
+                  onChange={() => toggle(field)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-700">
+                    {label}
+                  </span>
+                  <span className="block text-gray-800">{details[field]}</span>
+                  {current[field] && (
+                    <span className="block text-xs text-gray-500">
+                      Currently: {current[field]}
+                    </span>
+                  )}
+                </span>
+              </label>
+            ))}
+            {newSkills.length > 0 && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-2">
+                  Skills
+                </span>
+                <div className="flex flex-wrap gap-2">
+                  {newSkills.map((skill) => (
+                    <button
+                      key={skill}
+                      onClick={() => toggle(`skill:${skill}`)}
+                      aria-pressed={picked[`skill:${skill}`]}
+                      className={`px-3 py-1 rounded-full text-sm border ${
+                        picked[`skill:${skill}`]
+                          ? "bg-blue-600 text-white border-blue-600"
+                          : "bg-white text-gray-600 border-gray-300"
+                      }`}
+                    >
+                      {skill}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800"
+          >
+            Skip
+          </button>
+          <button
+            onClick={accept}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg"
+          >
+            Add to profile
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Resume versions. Students keep several named resumes in `user.resumes`;
+// `user.resume` is the last one uploaded or replaced and is preselected when
+// applying.
+// Previews open the server `url`, or an object URL for files picked during
+// this session (local-only versions can't be previewed after a reload).
+////////////////////////////////////////////////////////////////////////////////
+const RESUME_MAX_BYTES = 5 * 1024 * 1024;
+const RESUME_EXTENSIONS = ["pdf", "doc", "docx", "txt"];
+const RESUME_ACCEPT = RESUME_EXTENSIONS.map((ext) => `.${ext}`).join(",");
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Returns what's wrong with the file, or "" if it can be uploaded. The
+// extension decides the type: browsers often report no MIME type for .doc.
+const validateResumeFile = (file) => {
+  const ext = /\.([^.]+)$/.exec(file.name)?.[1].toLowerCase();
+  if (!RESUME_EXTENSIONS.includes(ext)) {
+    return `${file.name} isn't a PDF, DOC, DOCX or TXT file.`;
+  }
+  if (file.size === 0) return `${file.name} is empty.`;
+  if (file.size > RESUME_MAX_BYTES) {
+    return `${file.name} is ${formatBytes(
+      file.size
+    )}; the limit is ${formatBytes(RESUME_MAX_BYTES)}.`;
+  }
+  return "";
+};
+
+// Sessions from before versions stored a single `user.resume`.
+const userResumes = (user) =>
+  user?.resumes ||
+  (user?.resume ? [{ id: "resume-1", name: "Resume", ...user.resume }] : []);
+
+const resumeVersionName = (filename) => filename.replace(/\.[^.]+$/, "");
+
+const resumePreviewUrls = new Map(); // version id → object URL
+
+const resumePreviewUrl = (resume) => {
+  if (resume.url) {
+    return resume.url.startsWith("/") ? `${API_BASE}${resume.url}` : resume.url;
+  }
+  return resumePreviewUrls.get(resume.id) || "";
+};
+
+// Body of the profile's resume card. `progress` is the running upload's
+// percentage, or null when idle.
+function ResumeManager({ resumes, progress, onUpload, onDelete }) {
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+  const uploading = progress !== null;
+
+  const handleFile = (e, replaceId) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // so picking the same file again fires a change
+    if (!file) return;
+    const invalid = validateResumeFile(file);
+    setError(invalid);
+    if (invalid) return;
+    onUpload(file, { name: replaceId ? "" : name.trim(), replaceId });
+    if (!replaceId) setName("");
+  };
+
+  return (
+    <div>
+      <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
+        <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-600 mb-2">
+          {resumes.length > 0
+            ? "Add another version of your resume"
+            : "Upload your resume or CV"}
+        </p>
+        <p className="text-sm text-gray-500 mb-4">
+          PDF, DOC, DOCX or TXT up to {formatBytes(RESUME_MAX_BYTES)}
+        </p>
+        <div className="flex flex-col sm:flex-row items-center justify-center gap-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder='Version name, e.g. "ML resume"'
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <label
+            className={`bg-blue-600 text-white px-6 py-2 rounded-lg ${
+              uploading ? "opacity-50 pointer-events-none" : "cursor-pointer"
+            }`}
+          >
+            Choose File
+            <input
+              id="resume-input"
+              type="file"
+              accept={RESUME_ACCEPT}
+              disabled={uploading}
+              onChange={(e) => handleFile(e)}
+              className="hidden"
+            />
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {uploading && (
+        <div
+          className="mt-4"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={progress}
+        >
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>Uploading…</span>
+            <span>{progress}%</span>
+          </div>
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-600 transition-all"
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {resumes.length > 0 && (
+        <ul className="mt-4 divide-y divide-gray-100">
+          {resumes.map((resume) => {
+            const previewUrl = resumePreviewUrl(resume);
+            return (
+              <li
+                key={resume.id}
+                className="py-3 flex items-center justify-between gap-4"
+              >
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900 truncate">
+                    {resume.name}
+                  </div>
+                  <div className="text-sm text-gray-500 truncate">
+                    {resume.filename}
+                    {resume.size ? ` · ${formatBytes(resume.size)}` : ""} ·
+                    uploaded {new Date(resume.uploadedAt).toLocaleDateString()}
+                    {resume.local ? " · stored locally" : ""}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3 text-sm shrink-0">
+                  {previewUrl ? (
+                    <a
+                      href={previewUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-700"
+                    >
+                      Preview
+                    </a>
+                  ) : (
+                    <span
+                      className="text-gray-400"
+                      title="Re-upload this file to preview it"
+                    >
+                      Preview
+                    </span>
+                  )}
+                  <label
+                    className={`text-blue-600 hover:text-blue-700 ${
+                      uploading
+                        ? "opacity-50 pointer-events-none"
+                        : "cursor-pointer"
+                    }`}
+                  >
+                    Replace
+                    <input
+                      type="file"
+                      accept={RESUME_ACCEPT}
+                      disabled={uploading}
+                      onChange={(e) => handleFile(e, resume.id)}
+                      className="hidden"
+                    />
+                  </label>
+                  <button
+                    onClick={() => onDelete(resume.id)}
+                    className="text-gray-500 hover:text-red-600"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Messaging. Each application has one thread between the candidate and the
+// startup team. Messages:
+//   { id, clientId, applicationId, jobId, sender: { email, name, side },
+//     body, attachments: [{ name, type, size, url }], sentAt }
+// `side` is "candidate" or "team"; `clientId` is set by the sender so a
+// message sent offline and replayed later isn't listed twice.
+// New messages arrive through a transport: REST polling of
+// GET /messages?since= by default, or a WebSocket pushing
+// { type: "message", message } when REACT_APP_MESSAGES_WS_URL is set (e.g. to
+// a local mock server). While the socket is down messages are polled, and it
+// reconnects with backoff. When the API is unreachable messages live under
+// "messages", shared by the accounts on this browser like "applications".
+// Read state is kept per user under "messageReads"
+// ({ [email]: { [applicationId]: sentAt } }).
+////////////////////////////////////////////////////////////////////////////////
+const MESSAGE_POLL_MS = 5000;
+const MESSAGES_WS_URL = process.env.REACT_APP_MESSAGES_WS_URL || "";
+const SOCKET_RECONNECT_BASE_MS = 1000;
+const SOCKET_RECONNECT_MAX_MS = 60 * 1000;
+const MESSAGE_ATTACHMENT_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_MESSAGE_ATTACHMENTS = 3;
+const MESSAGE_ATTACHMENT_EXTENSIONS = [
+  ...RESUME_EXTENSIONS,
+  "png",
+  "jpg",
+  "jpeg",
+  "gif",
+  "webp",
+];
+
+const messageKey = (message) => message.clientId || message.id;
+
+// Adds `incoming` to `messages` (replacing copies with the same key), oldest
+// first.
+const mergeMessages = (messages, incoming) => {
+  const byKey = new Map(messages.map((m) => [messageKey(m), m]));
+  incoming.forEach((m) => byKey.set(messageKey(m), m));
+  return [...byKey.values()].sort((a, b) => (a.sentAt < b.sentAt ? -1 : 1));
+};
+
+const latestSentAt = (messages, since) =>
+  messages.reduce((max, m) => (m.sentAt > max ? m.sentAt : max), since || "");
+
+const storeLocalMessage = (message) => {
+  const local = readStoredJSON("messages", []);
+  try {
+    localStorage.setItem("messages", JSON.stringify([...local, message]));
+  } catch (err) {
+    throw new Error(
+      "The attachments are too large to keep offline. Send them once you're back online."
+    );
+  }
+};
+
+// GET /messages, or the local store when the API is unreachable
+const pollMessages = async (since) => {
+  try {
+    const data = await apiClient.getMessages(since);
+    if (Array.isArray(data)) return data;
+  } catch (err) {
+    if (!canFallBackLocally(err)) throw err;
+  }
+  return readStoredJSON("messages", []).filter(
+    (m) => !since || m.sentAt > since
+  );
+};
+
+const validateAttachment = (file) => {
+  const ext = /\.([^.]+)$/.exec(file.name)?.[1].toLowerCase();
+  if (!MESSAGE_ATTACHMENT_EXTENSIONS.includes(ext)) {
+    return `${file.name} isn't a document (PDF, DOC, DOCX, TXT) or image.`;
+  }
+  if (file.size === 0) return `${file.name} is empty.`;
+  if (file.size > MESSAGE_ATTACHMENT_MAX_BYTES) {
+    return `${file.name} is ${formatBytes(
+      file.size
+    )}; the limit is ${formatBytes(MESSAGE_ATTACHMENT_MAX_BYTES)}.`;
+  }
+  return "";
+};
+
+// Transports: start(onMessages) delivers batches of new messages until
+// stop(). `poll(since)` resolves to the messages sent after `since` (all of
+// them when null).
+const createPollingTransport = ({
+  poll,
+  since = null,
+  intervalMs = MESSAGE_POLL_MS,
+}) => {
+  let timer = null;
+  let stopped = false;
+  return {
+    kind: "polling",
+    start(onMessages) {
+      const tick = async () => {
+        try {
+          const list = await poll(since);
+          if (stopped) return;
+          if (list.length > 0) {
+            since = latestSentAt(list, since);
+            onMessages(list);
+          }
+        } catch (err) {
+          // tried again on the next tick
+        }
+        if (!stopped) timer = setTimeout(tick, intervalMs);
+      };
+      tick();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+const socketReconnectDelay = (attempts) =>
+  Math.min(SOCKET_RECONNECT_BASE_MS * 2 ** attempts, SOCKET_RECONNECT_MAX_MS);
+
+// Catches up over REST each time the socket opens, then takes pushed
+// messages. While it's down messages are polled and the socket reconnects
+// with backoff; every connection asks `getToken` for a current token.
+const createSocketTransport = ({ url, poll, getToken }) => {
+  let socket = null;
+  let fallback = null;
+  let reconnectTimer = null;
+  let attempts = 0;
+  let stopped = false;
+  let since = null;
+  return {
+    kind: "websocket",
+    start(onMessages) {
+      const receive = (list) => {
+        if (list.length === 0) return;
+        since = latestSentAt(list, since);
+        onMessages(list);
+      };
+      const startPolling = () => {
+        if (fallback) return;
+        fallback = createPollingTransport({ poll, since });
+        fallback.start(receive);
+      };
+      const stopPolling = () => {
+        fallback?.stop();
+        fallback = null;
+      };
+      const connect = async () => {
+        const token = await getToken();
+        if (stopped) return;
+        let opened;
+        try {
+          opened = new WebSocket(
+            token ? `${url}?token=${encodeURIComponent(token)}` : url
+          );
+        } catch (err) {
+          startPolling(); // malformed URL; reconnecting won't help
+          return;
+        }
+        socket = opened;
+        opened.onopen = () => {
+          attempts = 0;
+          stopPolling();
+          poll(since).then(receive, () => {});
+        };
+        opened.onmessage = (e) => {
+          let data;
+          try {
+            data = JSON.parse(e.data);
+          } catch (err) {
+            return;
+          }
+          if (data?.type === "message" && data.message) {
+            receive([data.message]);
+          }
+        };
+        opened.onclose = () => {
+          if (socket !== opened) return; // stopped
+          socket = null;
+          startPolling();
+          reconnectTimer = setTimeout(connect, socketReconnectDelay(attempts));
+          attempts += 1;
+        };
+      };
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      const open = socket;
+      socket = null;
+      open?.close();
+      fallback?.stop();
+    },
+  };
+};
+
+const createMessageTransport = () =>
+  MESSAGES_WS_URL && typeof WebSocket !== "undefined"
+    ? createSocketTransport({
+        url: MESSAGES_WS_URL,
+        poll: pollMessages,
+        getToken: () => apiClient.currentToken(),
+      })
+    : createPollingTransport({ poll: pollMessages });
+
+// Thread body and composer (module scope so App re-renders keep the draft).
+function MessageThread({ messages, currentEmail, sending, onSend }) {
+  const [body, setBody] = useState("");
+  const [files, setFiles] = useState([]);
+  const [fileError, setFileError] = useState("");
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView?.({ block: "end" });
+  }, [messages.length]);
+
+  const pickFiles = (e) => {
+    const picked = [...(e.target.files || [])];
+    e.target.value = "";
+    const next = [...files, ...picked];
+    const problem =
+      next.length > MAX_MESSAGE_ATTACHMENTS
+        ? `Attach up to ${MAX_MESSAGE_ATTACHMENTS} files per message.`
+        : picked.map(validateAttachment).find(Boolean) || "";
+    setFileError(problem);
+    if (!problem) setFiles(next);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!body.trim() && files.length === 0) return;
+    let attachments;
+    try {
+      attachments = await Promise.all(
+        files.map(async (file) => ({
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          url: await readFileAsDataUrl(file),
+        }))
+      );
+    } catch (err) {
+      setFileError("An attachment couldn't be read.");
+      return;
+    }
+    if (await onSend({ body: body.trim(), attachments })) {
+      setBody("");
+      setFiles([]);
+    }
+  };
+
+  return (
+    <div>
+      <div className="space-y-3 max-h-96 overflow-y-auto mb-4">
+        {messages.length === 0 && (
+          <p className="text-center text-sm text-gray-500 py-6">
+            No messages yet. Say hello!
+          </p>
+        )}
+        {messages.map((m) => {
+          const mine = m.sender.email === currentEmail;
+          return (
+            <div
+              key={messageKey(m)}
+              className={`flex ${mine ? "justify-end" : "justify-start"}`}
+            >
+              <div
+                className={`max-w-[80%] rounded-xl px-4 py-2 ${
+                  mine ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-800"
+                }`}
+              >
+                <div
+                  className={`text-xs mb-1 ${
+                    mine ? "text-blue-100" : "text-gray-500"
+                  }`}
+                >
+                  {mine ? "You" : m.sender.name} ·{" "}
+                  {new Date(m.sentAt).toLocaleString()}
+                  {mine && m.pending && " · sends when you're back online"}
+                </div>
+                {m.body && <p className="whitespace-pre-wrap">{m.body}</p>}
+                {(m.attachments || []).map((a) => (
+                  <a
+                    key={a.name}
+                    href={a.url}
+                    download={a.name}
+                    target="_blank"
+                    rel="noreferrer"
+                    className={`flex items-center space-x-1 text-sm underline ${
+                      mine ? "text-white" : "text-blue-600"
+                    }`}
+                  >
+                    <Paperclip className="w-3 h-3" />
+                    <span>
+                      {a.name} ({formatBytes(a.size)})
+                    </span>
+                  </a>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+        <div ref={endRef} />
+      </div>
+      <form onSubmit={submit} className="space-y-2">
+        <textarea
+          rows={3}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Write a message..."
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        {files.length > 0 && (
+          <ul className="flex flex-wrap gap-2">
+            {files.map((file, idx) => (
+              <li
+                key={`${file.name}-${idx}`}
+                className="bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm flex items-center gap-2"
+              >
+                <Paperclip className="w-3 h-3" />
+                <span>{file.name}</span>
+                <button
+                  type="button"
+                  onClick={() => setFiles(files.filter((_, i) => i !== idx))}
+                  aria-label={`Remove ${file.name}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {fileError && <p className="text-sm text-red-600">{fileError}</p>}
+        <div className="flex items-center justify-between">
+          <label className="cursor-pointer text-gray-600 hover:text-blue-600 flex items-center space-x-1 text-sm">
+            <Paperclip className="w-4 h-4" />
+            <span>Attach</span>
+            <input
+              type="file"
+              multiple
+              accept={MESSAGE_ATTACHMENT_EXTENSIONS.map(
+                (ext) => `.${ext}`
+              ).join(",")}
+              onChange={pickFiles}
+              className="hidden"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={sending || (!body.trim() && files.length === 0)}
+            className="bg-blue-600 text-white px-5 py-2 rounded-lg flex items-center space-x-2 disabled:opacity-50"
+          >
+            <Send className="w-4 h-4" />
+            <span>{sending ? "Sending..." : "Send"}</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Toasts
+////////////////////////////////////////////////////////////////////////////////
+const TOAST_LIMIT = 4;
+const TOAST_DURATION_MS = {
+  success: 4000,
+  info: 4000,
+  warning: 6000,
+  error: 6000,
+};
+const TOAST_STYLES = {
+  success: "bg-green-600",
+  info: "bg-blue-600",
+  warning: "bg-yellow-500",
+  error: "bg-red-600",
+};
+
+function ToastStack({ toasts, onDismiss }) {
+  if (toasts.length === 0) return null;
+  return (
+    <div className="fixed bottom-4 right-4 z-[60] space-y-2 w-80 max-w-[calc(100vw-2rem)]">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role={toast.type === "error" ? "alert" : "status"}
+          className={`${
+            TOAST_STYLES[toast.type]
+          } text-white rounded-lg shadow-lg px-4 py-3 flex items-start justify-between`}
+        >
+          <span className="text-sm">{toast.message}</span>
+          <button
+            onClick={() => onDismiss(toast.id)}
+            className="ml-3 text-white/80 hover:text-white"
+            aria-label="Dismiss"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Application form. Drafts autosave to localStorage on every change, keyed by
+// user + job, so closing the modal (or a remount) doesn't lose the letter.
+////////////////////////////////////////////////////////////////////////////////
+const applicationDraftKey = (user, jobId) =>
+  `${user?.email || "guest"}:${jobId}`;
+
+const loadApplicationDraft = (key) =>
+  readStoredJSON("applicationDrafts", {})[key] || null;
+
+const saveApplicationDraft = (key, draft) => {
+  const drafts = readStoredJSON("applicationDrafts", {});
+  drafts[key] = { ...draft, savedAt: new Date().toISOString() };
+  localStorage.setItem("applicationDrafts", JSON.stringify(drafts));
+};
+
+const clearApplicationDraft = (key) => {
+  const drafts = readStoredJSON("applicationDrafts", {});
+  delete drafts[key];
+  localStorage.setItem("applicationDrafts", JSON.stringify(drafts));
+};
+
+const coverLetterTemplate = (job, user) =>
+  `Dear ${job.company} team,\n\nI'm excited to apply for the ${job.title} role. ` +
+  `\n\n\nBest regards,\n${user?.name || ""}`;
+
+function ApplicationForm({ job, user, submitting, onSubmit, onCancel }) {
+  const draftKey = applicationDraftKey(user, job.id);
+  const resumes = userResumes(user);
+  const latestResumeId =
+    user?.resume?.id || resumes[resumes.length - 1]?.id || "none";
+  const [draft, setDraft] = useState(
+    () =>
+      loadApplicationDraft(draftKey) || {
+        coverLetter: "",
+        resumeChoice: latestResumeId,
+        answers: {},
+      }
+  );
+  const [resumeFile, setResumeFile] = useState(null);
+  const [resumeFileError, setResumeFileError] = useState("");
+  // a version id, "new" or "none"; older drafts saved "current", and the
+  // chosen version may have been deleted since
+  const resumeChoice =
+    ["new", "none"].includes(draft.resumeChoice) ||
+    resumes.some((r) => r.id === draft.resumeChoice)
+      ? draft.resumeChoice
+      : latestResumeId;
+  const questions = job.screeningQuestions || [];
+
+  const update = (changes) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+    saveApplicationDraft(draftKey, next);
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (resumeChoice === "new" && !resumeFile) {
+      // the file input may have been reset (e.g. the draft was restored)
+      setResumeFileError("Choose a resume file to upload.");
+      return;
+    }
+    if (resumeChoice === "new" && resumeFileError) return;
+    onSubmit({
+      coverLetter: draft.coverLetter.trim(),
+      answers: questions.map((q) => ({
+        questionId: q.id,
+        question: q.question,
+        answer: (draft.answers[q.id] || "").trim(),
+      })),
+      resume: resumes.find((r) => r.id === resumeChoice) || null,
+      resumeFile: resumeChoice === "new" ? resumeFile : null,
+      draftKey,
+    });
+  };
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-2";
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700">
+            Cover Letter
+          </label>
+          {!draft.coverLetter && (
+            <button
+              type="button"
+              onClick={() =>
+                update({ coverLetter: coverLetterTemplate(job, user) })
+              }
+              className="text-sm text-blue-600 hover:text-blue-700"
+            >
+              Start from template
+            </button>
+          )}
+        </div>
+        <textarea
+          rows={8}
+          value={draft.coverLetter}
+          onChange={(e) => update({ coverLetter: e.target.value })}
+          placeholder={`Tell ${job.company} why you're a great fit...`}
+          className={inputClass}
+        />
+        <div className="text-xs text-gray-400 text-right">
+          {draft.coverLetter.length} characters
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Resume</label>
+        <div className="space-y-2 text-sm text-gray-700">
+          {resumes.map((resume) => (
+            <label key={resume.id} className="flex items-center space-x-2">
+              <input
+                type="radio"
+                checked={resumeChoice === resume.id}
+                onChange={() => update({ resumeChoice: resume.id })}
+              />
+              <span>
+                Use {resume.name}{" "}
+                <span className="text-gray-500">({resume.filename})</span>
+              </span>
+            </label>
+          ))}
+          <label className="flex items-center space-x-2">
+            <input
+              type="radio"
+              checked={resumeChoice === "new"}
+              onChange={() => update({ resumeChoice: "new" })}
+            />
+            <span>Upload a new file</span>
+          </label>
+          {resumeChoice === "new" && (
+            <div className="ml-6">
+              <input
+                type="file"
+                required
+                accept={RESUME_ACCEPT}
+                onChange={(e) => {
+                  const file = e.target.files?.[0] || null;
+                  setResumeFile(file);
+                  setResumeFileError(file ? validateResumeFile(file) : "");
+                }}
+                className="text-sm"
+              />
+              {resumeFileError && (
+                <p className="mt-1 text-sm text-red-600">{resumeFileError}</p>
+              )}
+            </div>
+          )}
+          <label className="flex items-center space-x-2">
+            <input
+              type="radio"
+              checked={resumeChoice === "none"}
+              onChange={() => update({ resumeChoice: "none" })}
+            />
+            <span>Apply without a resume</span>
+          </label>
+        </div>
+      </div>
+
+      {questions.map((q) => (
+        <div key={q.id}>
+          <label className={labelClass}>
+            {q.question}
+            {q.required && <span className="text-red-500"> *</span>}
+          </label>
+          <textarea
+            rows={2}
+            required={q.required}
+            value={draft.answers[q.id] || ""}
+            onChange={(e) =>
+              update({ answers: { ...draft.answers, [q.id]: e.target.value } })
+            }
+            className={inputClass}
+          />
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between pt-2">
+        <span className="text-xs text-gray-400">Draft saved automatically</span>
+        <div className="flex space-x-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="border border-gray-200 text-gray-600 px-6 py-2 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-lg"
+          >
+            {submitting ? "Submitting..." : "Submit Application"}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Job posting form (module scope so App re-renders don't reset the draft)
+////////////////////////////////////////////////////////////////////////////////
+const EMPTY_POSTING = {
+  title: "",
+  location: "",
+  type: "Full-time",
+  stage: "Seed",
+  tags: [],
+  description: "",
+  salary: "",
+  equity: "",
+  vesting: "",
+  closesAt: "",
+  requirements: [],
+  benefits: [],
+  screeningQuestions: [],
+};
+
+// Ids are fixed when a question is added, so answers to a posting that is
+// later edited (questions reordered or removed) still match their question.
+const newScreeningQuestion = () => ({
+  id: `q-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+  question: "",
+  required: true,
+});
+
+function JobPostingForm({ initial, saving, onSubmit, onCancel }) {
+  const [form, setForm] = useState(() => {
+    const base = { ...EMPTY_POSTING, ...(initial || {}) };
+    return {
+      ...base,
+      tagsInput: base.tags.join(", "),
+      requirementsInput: base.requirements.join("\n"),
+      benefitsInput: base.benefits.join("\n"),
+    };
+  });
+
+  const update = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.value });
+
+  const updateQuestion = (id, changes) =>
+    setForm({
+      ...form,
+      screeningQuestions: form.screeningQuestions.map((q) =>
+        q.id === id ? { ...q, ...changes } : q
+      ),
+    });
+
+  const submit = (e) => {
+    e.preventDefault();
+    const { tagsInput, requirementsInput, benefitsInput, ...rest } = form;
+    onSubmit({
+      ...rest,
+      tags: splitList(tagsInput, ","),
+      requirements: splitList(requirementsInput, "\n"),
+      benefits: splitList(benefitsInput, "\n"),
+      screeningQuestions: form.screeningQuestions
+        .map((q) => ({ ...q, question: q.question.trim() }))
+        .filter((q) => q.question),
+    });
+  };
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-2";
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div>
+        <label className={labelClass}>Job Title</label>
+        <input
+          required
+          value={form.title}
+          onChange={update("title")}
+          placeholder="Frontend Engineer"
+          className={inputClass}
+        />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClass}>Location</label>
+          <input
+            required
+            value={form.location}
+            onChange={update("location")}
+            placeholder="Zurich"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Type</label>
+          <select
+            value={form.type}
+            onChange={update("type")}
+            className={inputClass}
+          >
+            <option>Full-time</option>
+            <option>Part-time</option>
+            <option>Internship</option>
+            <option>Freelance</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Stage</label>
+          <select
+            value={form.stage}
+            onChange={update("stage")}
+            className={inputClass}
+          >
+            <option>Pre-seed</option>
+            <option>Seed</option>
+            <option>Series A</option>
+            <option>Series B</option>
+          </select>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClass}>Salary</label>
+          <input
+            required
+            value={form.salary}
+            onChange={update("salary")}
+            placeholder="CHF 95k-110k"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Equity</label>
+          <input
+            value={form.equity}
+            onChange={update("equity")}
+            placeholder="0.2%"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Vesting</label>
+          <input
+            value={form.vesting}
+            onChange={update("vesting")}
+            placeholder="4 years, 1-year cliff"
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="md:col-span-2">
+          <label className={labelClass}>Tags (comma separated)</label>
+          <input
+            value={form.tagsInput}
+            onChange={update("tagsInput")}
+            placeholder="React, TypeScript"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Application Deadline</label>
+          <input
+            type="date"
+            value={form.closesAt}
+            onChange={update("closesAt")}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>Description</label>
+        <textarea
+          required
+          rows={4}
+          value={form.description}
+          onChange={update("description")}
+          className={inputClass}
+        />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Requirements (one per line)</label>
+          <textarea
+            rows={4}
+            value={form.requirementsInput}
+            onChange={update("requirementsInput")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Benefits (one per line)</label>
+          <textarea
+            rows={4}
+            value={form.benefitsInput}
+            onChange={update("benefitsInput")}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>Screening questions (optional)</label>
+        <div className="space-y-2">
+          {form.screeningQuestions.map((q, idx) => (
+            <div key={q.id} className="flex items-center space-x-2">
+              <input
+                value={q.question}
+                onChange={(e) =>
+                  updateQuestion(q.id, { question: e.target.value })
+                }
+                placeholder="Why do you want to join us?"
+                aria-label={`Question ${idx + 1}`}
+                className={inputClass}
+              />
+              <label className="flex items-center space-x-1 text-sm text-gray-600 whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={q.required}
+                  onChange={() =>
+                    updateQuestion(q.id, { required: !q.required })
+                  }
+                />
+                <span>Required</span>
+              </label>
+              <button
+                type="button"
+                onClick={() =>
+                  setForm({
+                    ...form,
+                    screeningQuestions: form.screeningQuestions.filter(
+                      (other) => other.id !== q.id
+                    ),
+                  })
+                }
+                className="text-gray-400 hover:text-gray-600"
+                aria-label="Remove question"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() =>
+            setForm({
+              ...form,
+              screeningQuestions: [
+                ...form.screeningQuestions,
+                newScreeningQuestion(),
+              ],
+            })
+          }
+          className="text-blue-600 hover:text-blue-700 text-sm mt-2 flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add a question</span>
+        </button>
+      </div>
+      <div className="flex justify-end space-x-3 pt-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="border border-gray-200 text-gray-600 px-6 py-2 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-lg"
+        >
+          {saving ? "Saving..." : initial?.id ? "Save Changes" : "Publish Job"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Main App
 ////////////////////////////////////////////////////////////////////////////////
 export default function App() {
   // UI state
-  const [activeTab, setActiveTab] = useState("jobs");
-  const [searchTerm, setSearchTerm] = useState("");
+  // initial UI state comes from the URL (see parseRoute)
+  const [initialRoute] = useState(() => parseRoute(window.location));
+  const [activeTab, setActiveTab] = useState(initialRoute.tab);
+  const [searchTerm, setSearchTerm] = useState(initialRoute.term);
   const debouncedSearch = useDebounced(searchTerm, 300);
-  const [selectedFilters, setSelectedFilters] = useState([]);
+  const [selectedFilters, setSelectedFilters] = useState(initialRoute.filters);
   const [showFilters, setShowFilters] = useState(false);
+  const [sortBy, setSortBy] = useState(initialRoute.sort);
+  const [minSalary, setMinSalary] = useState(initialRoute.minSalary); // annual CHF
+  const [salaryPeriod, setSalaryPeriod] = useState("year"); // display only
 
   // auth & user
   const [isLoggedIn, setIsLoggedIn] = useState(false);
@@ -284,13 +4479,61 @@ export default function App() {
 
   // data
   const [jobs, setJobs] = useState([]);
+  // jobs tab list when the API pages it (see "Server-side jobs feed"); every
+  // page is also merged into `jobs` so other views can find those postings
+  const [jobFeed, setJobFeed] = useState(LOCAL_JOB_FEED);
+  const [loadingMoreJobs, setLoadingMoreJobs] = useState(false);
   const [companies, setCompanies] = useState([]);
   const [savedJobs, setSavedJobs] = useState([]); // array of jobIds
+  const [savedSearches, setSavedSearches] = useState([]); // { id, name, term, filters, minSalary, seenJobIds }
+  const [newSearchName, setNewSearchName] = useState("");
   const [applications, setApplications] = useState([]); // { id, jobId, status, appliedAt }
-  const [notifications, setNotifications] = useState([]);
+  // server notifications (null → derive locally) and ids the user has read
+  const [notificationFeed, setNotificationFeed] = useState(null);
+  const [readNotificationIds, setReadNotificationIds] = useState([]);
+  const [showNotifications, setShowNotifications] = useState(false);
+  // message threads (see createMessageTransport); `openThread` is
+  // { applicationId, jobId, applicantName } while one is shown
+  const [messages, setMessages] = useState([]);
+  const [messageReads, setMessageReads] = useState({});
+  const [openThread, setOpenThread] = useState(null);
+  const [showInbox, setShowInbox] = useState(false);
   const [selectedJob, setSelectedJob] = useState(null);
+  // job id/slug from the URL, resolved once jobs are loaded
+  const [pendingJobKey, setPendingJobKey] = useState(initialRoute.jobKey);
+  // company profile page (/companies/:id)
+  const [companyKey, setCompanyKey] = useState(initialRoute.companyKey);
+  const [companyDetail, setCompanyDetail] = useState(null);
   const [loading, setLoading] = useState(false);
 
+  // outbound writes waiting for the API (see "Offline sync queue")
+  const [syncQueue, setSyncQueue] = useState(() =>
+    readStoredJSON("syncQueue", [])
+  );
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+
+  // job whose application form is open inside JobDetailModal
+  const [applyingJobId, setApplyingJobId] = useState(null);
+
+  // recruiter posting editor: null (closed), {} (new) or the job being edited
+  const [editingPosting, setEditingPosting] = useState(null);
+  // recruiter applicant pipeline for one posting
+  const [pipelineJobId, setPipelineJobId] = useState(null);
+  const [pipelineApps, setPipelineApps] = useState([]);
+  // application whose interview times are being proposed, and the team's
+  // booked interviews to check them against
+  const [schedulingApp, setSchedulingApp] = useState(null);
+  const [teamInterviews, setTeamInterviews] = useState([]);
+  // the signed-in startup member's organization (see readOrganizations)
+  const [organization, setOrganization] = useState(null);
+  // company editor: null (closed), {} (new) or the company being edited
+  const [editingCompany, setEditingCompany] = useState(null);
+
+  // toast queue: { id, type, message }
+  const [toasts, setToasts] = useState([]);
+
   // UI modals
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [isRegistering, setIsRegistering] = useState(false);
@@ -302,79 +4545,230 @@ export default function App() {
     email: "",
     password: "",
     type: "student",
+    company: "",
+    inviteCode: "",
   });
 
   // profile local editing state
   const [profileEdit, setProfileEdit] = useState({
     name: "",
     email: "",
+    phone: "",
     university: "",
     major: "",
     skillsInput: "",
     skills: [],
+    preferences: DEFAULT_PREFERENCES,
   });
 
   // file upload local state (mock)
   const [resumeFile, setResumeFile] = useState(null);
+  // details parsed from the uploaded resume, awaiting review
+  const [resumeDetails, setResumeDetails] = useState(null);
   const [resumeUploadMessage, setResumeUploadMessage] = useState("");
+  const [resumeUploadProgress, setResumeUploadProgress] = useState(null);
 
-  // Filters metadata
-  const filtersMeta = [
-    {
-      category: "Location",
-      options: ["Zurich", "Geneva", "Basel", "Lausanne", "Remote"],
-    },
-    {
-      category: "Type",
-      options: ["Full-time", "Part-time", "Internship", "Freelance"],
-    },
-    {
-      category: "Skills",
-      options: ["React", "Python", "AI/ML", "Figma", "TypeScript"],
-    },
-    {
-      category: "Stage",
-      options: ["Pre-seed", "Seed", "Series A", "Series B"],
-    },
-  ];
-
-  // Derived helpers (memoized)
+  // match score per job id for students (see computeJobMatch)
+  const jobMatches = useMemo(() => {
+    const matches = new Map();
+    if (!can(user, "jobs:apply")) return matches;
+    jobs.forEach((job) => {
+      const match = computeJobMatch(job, user.profile);
+      if (match) matches.set(job.id, match);
+    });
+    return matches;
+  }, [jobs, user]);
   const hasApplied = (jobId) => applications.some((a) => a.jobId === jobId);
   const isSaved = (jobId) => savedJobs.includes(jobId);
 
-  // Filtered jobs according to search + selectedFilters
-  const filteredJobs = useMemo(() => {
-    const term = debouncedSearch.trim().toLowerCase();
-    return jobs.filter((job) => {
-      const matchesSearch =
-        !term ||
-        job.title?.toLowerCase().includes(term) ||
-        job.company?.toLowerCase().includes(term) ||
-        job.tags?.some((t) => t.toLowerCase().includes(term));
-
-      if (!matchesSearch) return false;
-
-      if (selectedFilters.length === 0) return true;
-
-      return selectedFilters.every((f) => {
-        return (
-          job.location === f ||
-          job.type === f ||
-          (job.tags || []).includes(f) ||
-          job.stage === f
-        );
-      });
+  // Filtered jobs according to search + selectedFilters. Only used when the
+  // API doesn't page the feed (mock fallback / legacy array responses).
+  const filteredJobs = useMemo(
+    () =>
+      jobFeed.serverSide
+        ? []
+        : jobs.filter(
+            (job) =>
+              isJobOpen(job) &&
+              jobMatchesSearch(job, {
+                term: debouncedSearch,
+                filters: selectedFilters,
+                minSalary,
+              })
+          ),
+    [jobFeed.serverSide, jobs, debouncedSearch, selectedFilters, minSalary]
+  );
+
+  const searchTerms = useMemo(
+    () => parseSearchQuery(debouncedSearch),
+    [debouncedSearch]
+  );
+
+  const sortedJobs = useMemo(
+    () =>
+      jobFeed.serverSide
+        ? jobFeed.items
+        : sortJobs(filteredJobs, sortBy, (job) =>
+            jobSearchScore(job, searchTerms)
+          ),
+    [jobFeed, filteredJobs, sortBy, searchTerms]
+  );
+  const jobsFound = jobFeed.serverSide ? jobFeed.total : filteredJobs.length;
+
+  // choices for the preference chips: values seen on loaded jobs plus
+  // whatever the user already picked
+  const preferenceOptions = useMemo(() => {
+    const options = {};
+    PREFERENCE_FIELDS.forEach(({ field, category }) => {
+      const { valuesOf } = FILTER_CATEGORIES.find(
+        (c) => c.category === category
+      );
+      options[field] = [
+        ...new Set([
+          ...jobs.flatMap(valuesOf).filter(Boolean),
+          ...(user?.profile?.preferences?.[field] || []),
+        ]),
+      ].sort();
     });
-  }, [jobs, debouncedSearch, selectedFilters]);
+    return options;
+  }, [jobs, user]);
+
+  // best open matches the student hasn't applied to yet
+  const recommendedJobs = useMemo(
+    () =>
+      jobs
+        .filter(
+          (job) =>
+            isJobOpen(job) &&
+            (jobMatches.get(job.id)?.score ?? 0) >= RECOMMENDED_MIN_SCORE &&
+            !applications.some((a) => a.jobId === job.id)
+        )
+        .sort((a, b) => jobMatches.get(b.id).score - jobMatches.get(a.id).score)
+        .slice(0, RECOMMENDED_LIMIT),
+    [jobs, jobMatches, applications]
+  );
+
+  // Filter options + counts: the server's facets when it sends them,
+  // otherwise derived from the loaded jobs.
+  const filtersMeta = useMemo(
+    () =>
+      jobFeed.facets ||
+      buildFilterFacets(
+        jobs.filter(
+          (job) =>
+            isJobOpen(job) &&
+            jobMatchesSearch(job, { term: debouncedSearch, minSalary })
+        ),
+        selectedFilters
+      ),
+    [jobFeed.facets, jobs, debouncedSearch, minSalary, selectedFilters]
+  );
 
   // load initial data (tries API, falls back to mock)
   useEffect(() => {
     loadFromStorageAuth();
-    loadJobs();
     loadCompanies();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // URL ← state. Path changes push a history entry; query-only changes
+  // (typing, filter chips) replace it. The first sync only normalizes "/".
+  const routeSynced = useRef(false);
+  useEffect(() => {
+    if (pendingJobKey) return; // don't drop a deep link before it resolves
+    const url = buildRoute({
+      tab: activeTab,
+      job: selectedJob,
+      companyKey,
+      term: searchTerm,
+      filters: selectedFilters,
+      minSalary,
+      sort: sortBy,
+    });
+    const { pathname, search } = window.location;
+    if (url === pathname + search) return;
+    const samePath = url.split("?")[0] === pathname;
+    if (!routeSynced.current || samePath) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    routeSynced.current = true;
+  }, [
+    activeTab,
+    selectedJob,
+    companyKey,
+    searchTerm,
+    selectedFilters,
+    minSalary,
+    sortBy,
+    pendingJobKey,
+  ]);
+
+  // state ← URL on back/forward. Search state only changes on /jobs routes
+  // so visiting another tab keeps the current search around.
+  useEffect(() => {
+    const onPopState = () => {
+      const route = parseRoute(window.location);
+      setActiveTab(route.tab);
+      if (route.tab === "jobs" && !route.jobKey) {
+        setSearchTerm(route.term);
+        setSelectedFilters(route.filters);
+        setMinSalary(route.minSalary);
+        setSortBy(route.sort);
+      }
+      setSelectedJob(null);
+      setPendingJobKey(route.jobKey);
+      setCompanyKey(route.companyKey);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // resolve /jobs/:idOrSlug against loaded jobs, else ask the API
+  useEffect(() => {
+    if (!pendingJobKey || jobs.length === 0) return;
+    const local = findJobByRouteKey(jobs, pendingJobKey);
+    if (local) {
+      setSelectedJob(local);
+      setPendingJobKey(null);
+      return;
+    }
+    let cancelled = false;
+    apiClient
+      .getJob(pendingJobKey)
+      .then((job) => !cancelled && job?.id && setSelectedJob(job))
+      .catch(() => {})
+      .finally(() => !cancelled && setPendingJobKey(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [pendingJobKey, jobs]);
+
+  // company profile: try API, fall back to the loaded list + mock details
+  useEffect(() => {
+    if (!companyKey) {
+      setCompanyDetail(null);
+      return;
+    }
+    let cancelled = false;
+    const byKey = (c) => companyRouteKey(c) === companyKey;
+    apiClient
+      .getCompany(companyKey)
+      .catch(() => null)
+      .then((data) => {
+        if (cancelled) return;
+        const fallback = {
+          ...MOCK_COMPANIES.find(byKey),
+          ...companies.find(byKey),
+        };
+        setCompanyDetail(data?.name ? data : fallback.name ? fallback : null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [companyKey, companies]);
+
   useEffect(() => {
     // set profileEdit from user
     if (user) {
@@ -382,110 +4776,634 @@ export default function App() {
         ...p,
         name: user.name || "",
         email: user.email || "",
+        phone: user.profile?.phone || "",
         university: user.profile?.university || "",
         major: user.profile?.major || "",
         skills: user.profile?.skills || [],
+        preferences: { ...DEFAULT_PREFERENCES, ...user.profile?.preferences },
       }));
     }
   }, [user]);
 
-  async function loadFromStorageAuth() {
+  // Drops all state tied to the signed-in user (storage is left alone).
+  const resetSession = useCallback(() => {
+    apiCache.clear();
+    setIsLoggedIn(false);
+    setUser(null);
+    setSavedJobs([]);
+    setApplications([]);
+    setSavedSearches([]);
+    setNotificationFeed(null);
+    setReadNotificationIds([]);
+    setShowNotifications(false);
+    setEditingPosting(null);
+    setPipelineJobId(null);
+    setPipelineApps([]);
+    setOrganization(null);
+    setEditingCompany(null);
+    setSchedulingApp(null);
+    setOpenThread(null);
+    setShowInbox(false);
+    setActiveTab("jobs");
+  }, []);
+
+  const handleLogout = useCallback(() => {
+    clearSession();
+    resetSession();
+  }, [resetSession]);
+
+  // Toasts & error reporting
+  const dismissToast = useCallback(
+    (id) => setToasts((prev) => prev.filter((t) => t.id !== id)),
+    []
+  );
+
+  const showToast = useCallback(
+    (message, type = "success") => {
+      const id = `toast-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      setToasts((prev) => [...prev, { id, type, message }].slice(-TOAST_LIMIT));
+      setTimeout(() => dismissToast(id), TOAST_DURATION_MS[type]);
+    },
+    [dismissToast]
+  );
+
+  // 401 with a token means the session expired: sign out and ask to sign in.
+  // Everything else becomes an error toast; details go to the console.
+  const reportError = useCallback(
+    (err, action) => {
+      // the toast tells the user; details are for development only
+      if (process.env.NODE_ENV !== "production") {
+        console.error(
+          `[${action}]`,
+          err instanceof ApiError
+            ? {
+                status: err.status,
+                endpoint: err.endpoint,
+                payload: err.payload,
+              }
+            : err
+        );
+      }
+      if (
+        err instanceof ApiError &&
+        err.isUnauthorized &&
+        localStorage.getItem("token")
+      ) {
+        handleLogout();
+        setIsRegistering(false);
+        setShowLoginModal(true);
+        showToast("Your session expired. Please sign in again.", "warning");
+        return;
+      }
+      showToast(describeError(err, action), "error");
+    },
+    [handleLogout, showToast]
+  );
+
+  // Keeps the user's role in step with their membership: an owner may have
+  // changed it, or removed them from the team.
+  const applyOrganization = useCallback(
+    (org, currentUser = user) => {
+      const member = organizationMember(org, currentUser.email);
+      setOrganization(member ? org : null);
+      const next = member
+        ? {
+            ...currentUser,
+            organizationId: org.id,
+            role: member.role,
+            profile: { ...currentUser.profile, company: org.name },
+          }
+        : {
+            ...currentUser,
+            organizationId: null,
+            role: null,
+            profile: { ...currentUser.profile, company: "" },
+          };
+      if (!member && currentUser.organizationId) {
+        showToast(`You're no longer a member of ${org.name}.`, "info");
+      }
+      if (
+        next.organizationId !== currentUser.organizationId ||
+        next.role !== currentUser.role ||
+        next.profile?.company !== currentUser.profile?.company
+      ) {
+        setUser(next);
+        localStorage.setItem("user", JSON.stringify(next));
+      }
+    },
+    [user, showToast]
+  );
+
+  // Startup team. Attempt API, fall back to the local store.
+  const loadOrganization = useCallback(
+    async (currentUser = user) => {
+      if (!currentUser?.organizationId) {
+        setOrganization(null);
+        return;
+      }
+      let org = null;
+      try {
+        const resp = await apiClient.getOrganization(
+          currentUser.organizationId,
+          {
+            onUpdate: () => loadOrganization(currentUser),
+          }
+        );
+        org = resp?.organization || resp;
+      } catch (err) {
+        if (!canFallBackLocally(err)) {
+          reportError(err, "Loading your team");
+          return;
+        }
+      }
+      if (!org?.id) org = findLocalOrganization(currentUser.organizationId);
+      if (org) applyOrganization(org, currentUser);
+    },
+    [user, reportError, applyOrganization]
+  );
+
+  const loadUserData = useCallback(
+    async (currentUser = user) => {
+      // Loads saved jobs & applications. If API fails, keep local/mock values.
+      // Runs in the background (no spinner): cached responses apply at once and
+      // a revalidated one re-runs this to rebuild the merged state.
+      let authError = null;
+      const cacheOptions = { onUpdate: () => loadUserData(currentUser) };
+      const orNull = (promise) =>
+        promise.catch((err) => {
+          if (err instanceof ApiError && err.isUnauthorized) authError = err;
+          return null;
+        });
+      // only what the role may read; the rest stays empty
+      const ifAllowed = (permission, load) =>
+        can(currentUser, permission) ? orNull(load()) : Promise.resolve([]);
+      const [savedJobsData, appsData, notificationsData, searchesData] =
+        await Promise.all([
+          ifAllowed("jobs:save", () => apiClient.getSavedJobs(cacheOptions)),
+          ifAllowed("applications:own", () =>
+            apiClient.getMyApplications(cacheOptions)
+          ),
+          orNull(apiClient.getNotifications(cacheOptions)),
+          orNull(apiClient.getSavedSearches(cacheOptions)),
+        ]);
+      if (authError) {
+        reportError(authError, "Loading your data");
+        return;
+      }
+
+      // fallback to stored savedJobs/applications in localStorage; either
+      // way, writes still waiting in the sync queue are layered on top
+      const pending = overlayPendingMutations(
+        {
+          savedJobs: Array.isArray(savedJobsData)
+            ? savedJobsData.map((s) => s.jobId)
+            : readStoredJSON("savedJobs", []),
+          applications: Array.isArray(appsData)
+            ? appsData
+            : readStoredJSON("applications", []).filter((a) =>
+                isOwnApplication(a, currentUser)
+              ),
+        },
+        readStoredJSON("syncQueue", []),
+        currentUser?.email
+      );
+      setSavedJobs(pending.savedJobs);
+      setApplications(pending.applications);
+
+      if (Array.isArray(searchesData)) {
+        setSavedSearches(searchesData);
+      } else {
+        setSavedSearches(readStoredJSON("savedSearches", []));
+      }
+
+      setNotificationFeed(
+        Array.isArray(notificationsData) ? notificationsData : null
+      );
+      setReadNotificationIds(
+        readStoredJSON("readNotifications", {})[currentUser?.email] || []
+      );
+      await loadOrganization(currentUser);
+    },
+    [user, reportError, loadOrganization]
+  );
+
+  // Jobs tab filters from a student's preferences (and their salary floor).
+  const applyPreferences = useCallback((prefs = {}) => {
+    setSelectedFilters(preferenceFilters(prefs));
+    setMinSalary(prefs.minSalary || 0);
+  }, []);
+
+  // On sign-in, unless a search is already set (e.g. from the URL).
+  const preApplyPreferences = useCallback(
+    (currentUser) => {
+      const prefs = currentUser?.profile?.preferences;
+      if (!prefs || !can(currentUser, "jobs:apply")) return;
+      if (searchTerm.trim() || selectedFilters.length > 0 || minSalary > 0) {
+        return;
+      }
+      applyPreferences(prefs);
+    },
+    [searchTerm, selectedFilters, minSalary, applyPreferences]
+  );
+
+  // Restores the stored session: an expired token must be refreshed first,
+  // then the stored user is shown right away and checked against /auth/me.
+  // When the server can't be reached the stored user is kept as-is.
+  const loadFromStorageAuth = useCallback(async () => {
     const token = localStorage.getItem("token");
     const userRaw = localStorage.getItem("user");
-    if (token && userRaw) {
+    if (!token || !userRaw) return;
+    let stored;
+    try {
+      stored = JSON.parse(userRaw);
+    } catch (err) {
+      console.warn("Bad user in localStorage", err);
+      clearSession();
+      return;
+    }
+    if (isTokenExpired(token) && (await apiClient.refreshSession()) === false) {
+      clearSession();
+      setShowLoginModal(true);
+      showToast("Your session expired. Please sign in again.", "warning");
+      return;
+    }
+    setIsLoggedIn(true);
+    setUser(stored);
+    preApplyPreferences(stored);
+    let current = stored;
+    try {
+      const resp = await apiClient.getMe();
+      const me = resp?.user || resp;
+      if (me?.email) {
+        // keep local-only fields (e.g. resume versions stored offline)
+        current = { ...stored, ...me };
+        setUser(current);
+        localStorage.setItem("user", JSON.stringify(current));
+      }
+    } catch (err) {
+      if (!canFallBackLocally(err)) {
+        reportError(err, "Restoring your session");
+        // a 401 has signed the user out: nothing left to load
+        if (err instanceof ApiError && err.isUnauthorized) return;
+      }
+    }
+    // try to load user-specific things
+    await loadUserData(current);
+  }, [showToast, preApplyPreferences, reportError, loadUserData]);
+
+  // Other tabs share localStorage: follow their sign-in, sign-out and
+  // profile edits. Token refreshes need nothing since requests read the
+  // token from storage. `key` is null when storage was cleared.
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== null && e.key !== "token" && e.key !== "user") return;
+      const userRaw = localStorage.getItem("user");
+      if (!localStorage.getItem("token") || !userRaw) {
+        if (isLoggedIn) {
+          resetSession();
+          showToast("You were signed out in another tab.", "info");
+        }
+        return;
+      }
+      let stored;
       try {
-        const parsed = JSON.parse(userRaw);
-        setIsLoggedIn(true);
-        setUser(parsed);
-        // try to load user-specific things
-        await loadUserData(); // no await needed but helpful
+        stored = JSON.parse(userRaw);
       } catch (err) {
-        console.warn("Bad user in localStorage", err);
+        return;
+      }
+      if (isLoggedIn && stored.email === user?.email) {
+        setUser(stored);
+      } else {
+        resetSession();
+        loadFromStorageAuth();
       }
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [isLoggedIn, user?.email, resetSession, showToast, loadFromStorageAuth]);
+
+  // A page envelope drives the feed; otherwise expecting array; if not,
+  // fallback to mock
+  const applyJobsData = useCallback((data, append = false) => {
+    const page = readJobsPage(data);
+    if (!page) {
+      setJobFeed(LOCAL_JOB_FEED);
+      setJobs(
+        Array.isArray(data) && data.length > 0
+          ? data
+          : mergeLocalJobs(MOCK_JOBS)
+      );
+      return;
+    }
+    setJobFeed((prev) => ({
+      serverSide: true,
+      items: append ? mergeJobsById(prev.items, page.items) : page.items,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      facets: append ? prev.facets : page.facets,
+    }));
+    setJobs((prev) => mergeJobsById(prev, page.items));
+  }, []);
+
+  const currentJobQuery = useCallback(
+    (cursor) =>
+      jobQueryParams({
+        term: debouncedSearch,
+        filters: selectedFilters,
+        minSalary,
+        sort: sortBy,
+        cursor,
+      }),
+    [debouncedSearch, selectedFilters, minSalary, sortBy]
+  );
+
+  // Only the latest loadJobs() may apply a background revalidation, so an
+  // older query's refresh can't overwrite the current list.
+  const jobsRequestRef = useRef(0);
+
+  const loadJobs = useCallback(async () => {
+    const request = ++jobsRequestRef.current;
+    // cached lists render instantly; the spinner is for the very first load
+    // (the only one without a list to show)
+    if (request === 1) setLoading(true);
+    try {
+      const data = await apiClient.getJobs(currentJobQuery(), {
+        onUpdate: (fresh) =>
+          request === jobsRequestRef.current && applyJobsData(fresh),
+      });
+      if (request === jobsRequestRef.current) applyJobsData(data);
+    } catch (err) {
+      // fallback to mock
+      if (request === jobsRequestRef.current) applyJobsData(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentJobQuery, applyJobsData]);
+
+  // (re)load the first page whenever the query changes so the server can
+  // search, filter and sort
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  // Next page of the server feed; dropped if the query changed meanwhile.
+  async function loadMoreJobs() {
+    if (!jobFeed.nextCursor || loadingMoreJobs) return;
+    const request = jobsRequestRef.current;
+    setLoadingMoreJobs(true);
+    try {
+      const data = await apiClient.getJobs(currentJobQuery(jobFeed.nextCursor));
+      if (request === jobsRequestRef.current) applyJobsData(data, true);
+    } catch (err) {
+      reportError(err, "Loading more jobs");
+    } finally {
+      setLoadingMoreJobs(false);
     }
   }
 
-  async function loadJobs() {
-    setLoading(true);
+  async function loadCompanies() {
+    const applyCompanies = (data) =>
+      setCompanies(
+        Array.isArray(data) && data.length > 0
+          ? data
+          : mergeLocalCompanies(MOCK_COMPANIES)
+      );
     try {
-      const data = await apiClient.getJobs({ search: debouncedSearch });
-      // Expecting array; if not, fallback
-      if (Array.isArray(data) && data.length > 0) {
-        setJobs(data);
-      } else {
-        // fallback: mock
-        setJobs(MOCK_JOBS);
+      applyCompanies(
+        await apiClient.getCompanies({ onUpdate: applyCompanies })
+      );
+    } catch (err) {
+      applyCompanies(null);
+    }
+  }
+
+  // Runs a team change against the API; `local` produces the result from
+  // the local store when the server is unreachable.
+  async function changeOrganization(action, remote, local, successMessage) {
+    try {
+      setLoading(true);
+      let org;
+      try {
+        const resp = await remote();
+        org = resp?.organization || resp;
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        org = local();
       }
+      applyOrganization(org);
+      if (successMessage) showToast(successMessage(org));
+      return org;
     } catch (err) {
-      // fallback to mock
-      setJobs(MOCK_JOBS);
+      reportError(err, action);
+      return null;
     } finally {
       setLoading(false);
     }
   }
 
-  async function loadCompanies() {
-    try {
-      const data = await apiClient.getCompanies();
-      if (Array.isArray(data) && data.length > 0) {
-        setCompanies(data);
-      } else {
-        setCompanies(MOCK_COMPANIES);
-      }
-    } catch (err) {
-      setCompanies(MOCK_COMPANIES);
+  // The team may only exist on the server (e.g. joined from another device);
+  // then there's nothing to edit offline.
+  const editLocalOrganization = (edit) => () => {
+    const stored = findLocalOrganization(organization.id);
+    if (!stored) {
+      throw new Error(
+        "Your team's details aren't available offline. Try again once you're back online."
+      );
     }
-  }
+    const org = edit(stored);
+    storeLocalOrganization(org);
+    return org;
+  };
+
+  const findCompanyByName = (name) =>
+    companies.find((c) => foldText(c.name) === foldText(name || "")) || null;
+
+  // The company a startup account represents: its team's, or for accounts
+  // from before teams the one named in the profile.
+  const ownCompany = organization
+    ? companies.find((c) => c.id && c.id === organization.companyId) ||
+      findCompanyByName(organization.name)
+    : findCompanyByName(user?.profile?.company);
+
+  // The job's company as its profile shows it now; jobs keep a copy of the
+  // name, logo and funding from when they were posted.
+  const jobCompany = (job) => {
+    const company = findJobCompany(job, companies);
+    return {
+      name: company?.name || job.company,
+      logo: company?.logo || job.logo,
+      funding: company?.funding || job.funding,
+    };
+  };
 
-  async function loadUserData() {
-    // Loads saved jobs & applications. If API fails, keep local/mock values.
+  const canEditCompany = (company) =>
+    can(user, "company:edit") &&
+    (can(user, "companies:all") ||
+      (!!ownCompany &&
+        companyRouteKey(ownCompany) === companyRouteKey(company)));
+
+  // Creates the company page when the team has none yet. A rename carries
+  // over to the team (and the members' profiles) so postings keep matching.
+  async function handleSaveCompany(draft) {
+    if (!requirePermission("company:edit")) return;
+    const existing = editingCompany?.name ? editingCompany : null;
     try {
       setLoading(true);
-      const [savedJobsData, appsData] = await Promise.all([
-        apiClient.getSavedJobs().catch(() => null),
-        apiClient.getMyApplications().catch(() => null),
-      ]);
-
-      if (Array.isArray(savedJobsData)) {
-        setSavedJobs(savedJobsData.map((s) => s.jobId));
-      } else {
-        // fallback to stored savedJobs in localStorage
-        const sLocal = JSON.parse(localStorage.getItem("savedJobs") || "[]");
-        setSavedJobs(sLocal);
+      let saved;
+      let storedLocally = false;
+      try {
+        saved = existing
+          ? await apiClient.updateCompany(companyRouteKey(existing), draft)
+          : await apiClient.createCompany({
+              ...draft,
+              ...(organization && { organizationId: organization.id }),
+            });
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        saved = existing
+          ? { ...existing, ...draft }
+          : {
+              ...draft,
+              id: `c-${Date.now()}`,
+              founded: new Date().getFullYear(),
+              locations: [],
+            };
+        storeLocalCompany(saved);
+        storedLocally = true;
       }
-
-      if (Array.isArray(appsData)) {
-        setApplications(appsData);
-      } else {
-        const aLocal = JSON.parse(localStorage.getItem("applications") || "[]");
-        setApplications(aLocal);
+      const key = existing ? companyRouteKey(existing) : null;
+      setCompanies((prev) =>
+        existing
+          ? prev.map((c) => (companyRouteKey(c) === key ? saved : c))
+          : [...prev, saved]
+      );
+      setCompanyDetail((prev) =>
+        prev && companyRouteKey(prev) === key ? { ...prev, ...saved } : prev
+      );
+      const ownsSaved = existing
+        ? ownCompany && companyRouteKey(ownCompany) === key
+        : true;
+      if (ownsSaved && organization) {
+        const org = { ...organization, companyId: saved.id, name: saved.name };
+        if (storedLocally) storeLocalOrganization(org);
+        applyOrganization(org);
+      } else if (ownsSaved && user.profile?.company !== saved.name) {
+        const next = {
+          ...user,
+          profile: { ...user.profile, company: saved.name },
+        };
+        setUser(next);
+        localStorage.setItem("user", JSON.stringify(next));
       }
-
-      // notifications: a simple mock set
-      setNotifications((prev) =>
-        prev.length === 0
-          ? [
-              {
-                id: 1,
-                message:
-                  "New job matching your skills: Frontend Engineer at TechFlow AG",
-                time: "2 hours ago",
-                read: false,
-              },
-              {
-                id: 2,
-                message: "Your application for Product Designer was viewed",
-                time: "1 day ago",
-                read: false,
-              },
-            ]
-          : prev
+      setEditingCompany(null);
+      showToast(
+        existing ? "Company profile updated" : "Company profile created"
       );
+    } catch (err) {
+      reportError(err, "Saving the company profile");
     } finally {
       setLoading(false);
     }
   }
 
+  function handleCreateOrganization() {
+    const company = findCompanyByName(user.profile?.company);
+    return changeOrganization(
+      "Creating your team",
+      () =>
+        apiClient.createOrganization({
+          name: company?.name || user.profile?.company,
+          companyId: company?.id,
+        }),
+      () => createLocalOrganization({ company, user }),
+      (org) => `Created the ${org.name} team. Invite your colleagues next.`
+    );
+  }
+
+  function handleJoinOrganization(code) {
+    return changeOrganization(
+      "Joining the team",
+      () => apiClient.acceptInvite(normalizeInviteCode(code)),
+      () => acceptLocalInvite(code, user),
+      (org) => `Welcome to ${org.name}!`
+    );
+  }
+
+  // Resolves true when the invite was created (the form then clears).
+  async function handleInvite({ email, role }) {
+    if (organizationMember(organization, email)) {
+      showToast(`${email} is already on the team.`, "warning");
+      return false;
+    }
+    const invite = {
+      code: generateInviteCode(organization.name),
+      email,
+      role,
+      invitedBy: user.email,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString(),
+    };
+    const org = await changeOrganization(
+      "Inviting a team member",
+      () => apiClient.createInvite(organization.id, { email, role }),
+      editLocalOrganization((org) => ({
+        ...org,
+        invites: [...org.invites.filter((i) => i.email !== email), invite],
+      })),
+      () => `Invite created for ${email}. Send them the code.`
+    );
+    return !!org;
+  }
+
+  function handleRevokeInvite(invite) {
+    return changeOrganization(
+      "Revoking the invite",
+      () => apiClient.revokeInvite(organization.id, invite.code),
+      editLocalOrganization((org) => ({
+        ...org,
+        invites: org.invites.filter((i) => i.code !== invite.code),
+      })),
+      () => `Invite for ${invite.email} revoked.`
+    );
+  }
+
+  function handleMemberRole(member, role) {
+    if (
+      member.role === "owner" &&
+      role !== "owner" &&
+      ownerCount(organization) === 1
+    ) {
+      showToast("A team needs at least one owner.", "warning");
+      return null;
+    }
+    return changeOrganization(
+      "Changing the role",
+      () => apiClient.updateMember(organization.id, member.email, { role }),
+      editLocalOrganization((org) => ({
+        ...org,
+        members: org.members.map((m) =>
+          m.email === member.email ? { ...m, role } : m
+        ),
+      })),
+      () => `${member.name} is now ${ORG_ROLE_LABELS[role].toLowerCase()}.`
+    );
+  }
+
+  function handleRemoveMember(member) {
+    if (!window.confirm(`Remove ${member.name} from ${organization.name}?`)) {
+      return null;
+    }
+    return changeOrganization(
+      "Removing the team member",
+      () => apiClient.removeMember(organization.id, member.email),
+      editLocalOrganization((org) => ({
+        ...org,
+        members: org.members.filter((m) => m.email !== member.email),
+      })),
+      () => `${member.name} was removed from the team.`
+    );
+  }
+
   // Auth handlers (these attempt API; if fail, do local mock)
   async function handleLogin(e) {
     e?.preventDefault?.();
@@ -496,52 +5414,24 @@ export default function App() {
       try {
         resp = await apiClient.login(loginForm.email, loginForm.password);
       } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
         // fallback: demo accounts
-        if (
-          loginForm.email === "student@example.com" &&
-          loginForm.password === "password123"
-        ) {
-          resp = {
-            token: "demo-student-token",
-            user: {
-              name: "Student Demo",
-              email: "student@example.com",
-              type: "student",
-              profile: {
-                university: "ETH Zurich",
-                major: "Computer Science",
-                skills: ["React", "Python"],
-              },
-            },
-          };
-        } else if (
-          loginForm.email === "startup@example.com" &&
-          loginForm.password === "password123"
-        ) {
-          resp = {
-            token: "demo-startup-token",
-            user: {
-              name: "Startup Demo",
-              email: "startup@example.com",
-              type: "startup",
-              profile: {},
-            },
-          };
-        } else {
-          throw err;
-        }
+        const demoUser = DEMO_ACCOUNTS[loginForm.email];
+        if (!demoUser || loginForm.password !== DEMO_PASSWORD) throw err;
+        resp = { token: demoToken(), user: demoUser };
       }
 
-      localStorage.setItem("token", resp.token);
-      localStorage.setItem("user", JSON.stringify(resp.user));
+      storeSession(resp);
       setIsLoggedIn(true);
       setUser(resp.user);
       setShowLoginModal(false);
       setLoginForm({ email: "", password: "" });
-      await loadUserData();
+      preApplyPreferences(resp.user);
+      await loadUserData(resp.user);
       setActiveTab("jobs");
+      showToast(`Welcome back, ${resp.user.name}!`);
     } catch (err) {
-      alert("Login failed: " + (err.message || String(err)));
+      reportError(err, "Login");
     } finally {
       setLoading(false);
     }
@@ -556,73 +5446,222 @@ export default function App() {
       try {
         resp = await apiClient.register(registerForm);
       } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
         // fallback: create demo user locally
         const fakeUser = {
           name: registerForm.name || "New User",
           email: registerForm.email,
           type: registerForm.type || "student",
-          profile: {},
+          profile:
+            registerForm.type === "startup"
+              ? { company: registerForm.company }
+              : {},
         };
-        resp = { token: "demo-new-token", user: fakeUser };
+        // startups join the team that invited them or start their company's
+        if (fakeUser.type === "startup") {
+          const org = registerForm.inviteCode.trim()
+            ? acceptLocalInvite(registerForm.inviteCode, fakeUser)
+            : createLocalOrganization({
+                company: findCompanyByName(registerForm.company),
+                user: fakeUser,
+              });
+          fakeUser.organizationId = org.id;
+          fakeUser.role = organizationMember(org, fakeUser.email).role;
+          fakeUser.profile = { company: org.name };
+        }
+        resp = { token: demoToken(), user: fakeUser };
       }
 
-      localStorage.setItem("token", resp.token);
-      localStorage.setItem("user", JSON.stringify(resp.user));
+      storeSession(resp);
       setIsLoggedIn(true);
       setUser(resp.user);
       setShowLoginModal(false);
-      setRegisterForm({ name: "", email: "", password: "", type: "student" });
-      await loadUserData();
+      setRegisterForm({
+        name: "",
+        email: "",
+        password: "",
+        type: "student",
+        company: "",
+        inviteCode: "",
+      });
+      await loadUserData(resp.user);
+      showToast("Account created. Welcome aboard!");
     } catch (err) {
-      alert("Registration failed: " + (err.message || String(err)));
+      reportError(err, "Registration");
     } finally {
       setLoading(false);
     }
   }
 
-  function handleLogout() {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    setIsLoggedIn(false);
-    setUser(null);
-    setSavedJobs([]);
-    setApplications([]);
-    setNotifications([]);
-    setActiveTab("jobs");
+  // Sync queue. localStorage is the source of truth so writes queued while a
+  // flush is running aren't lost; state mirrors it for the header indicator.
+  const updateSyncQueue = useCallback((fn) => {
+    const next = fn(readStoredJSON("syncQueue", []));
+    localStorage.setItem("syncQueue", JSON.stringify(next));
+    setSyncQueue(next);
+  }, []);
+
+  const queueMutation = (type, payload) =>
+    updateSyncQueue((queue) =>
+      enqueueMutation(queue, type, payload, user.email)
+    );
+
+  // Replays this user's queued writes in order. Network/5xx failures back off
+  // and stop the run; a 4xx means the server rejected the write (e.g. job
+  // closed, already applied), so it's dropped and server state wins.
+  const flushSyncQueue = useCallback(
+    async ({ force = false } = {}) => {
+      if (!user || syncingRef.current) return;
+      const owner = user.email;
+      const queued = ownMutations(readStoredJSON("syncQueue", []), owner);
+      if (queued.length === 0) return;
+      syncingRef.current = true;
+      setSyncing(true);
+      let settled = 0;
+      try {
+        for (const mutation of queued) {
+          if (!force && mutation.nextAttemptAt > Date.now()) break;
+          try {
+            const result = await SYNC_HANDLERS[mutation.type](mutation.payload);
+            if (mutation.type === "updateProfile" && result?.email) {
+              setUser(result);
+              localStorage.setItem("user", JSON.stringify(result));
+            }
+          } catch (err) {
+            if (canFallBackLocally(err)) {
+              updateSyncQueue((queue) =>
+                queue.map((m) =>
+                  m.id === mutation.id
+                    ? {
+                        ...m,
+                        attempts: m.attempts + 1,
+                        nextAttemptAt:
+                          Date.now() + syncRetryDelay(m.attempts + 1),
+                      }
+                    : m
+                )
+              );
+              break;
+            }
+            if (err.isUnauthorized) {
+              reportError(err, "Syncing your changes");
+              return;
+            }
+            showToast(
+              `${SYNC_LABELS[mutation.type]} couldn't be synced: ${
+                err.message
+              }`,
+              "warning"
+            );
+          }
+          updateSyncQueue((queue) => queue.filter((m) => m.id !== mutation.id));
+          settled += 1;
+        }
+      } finally {
+        syncingRef.current = false;
+        setSyncing(false);
+      }
+      if (settled > 0) await loadUserData(user);
+    },
+    [user, updateSyncQueue, reportError, showToast, loadUserData]
+  );
+
+  // replay queued writes as soon as the browser comes back online
+  useEffect(() => {
+    const onOnline = () => {
+      setIsOnline(true);
+      flushSyncQueue({ force: true });
+    };
+    const onOffline = () => setIsOnline(false);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    };
+  }, [flushSyncQueue]);
+
+  // retry with backoff: writes replay in order, so wake up when the oldest
+  // queued write is due (also covers signing in with writes still queued)
+  useEffect(() => {
+    if (!user || !isOnline) return;
+    const [next] = ownMutations(syncQueue, user.email);
+    if (!next) return;
+    const dueAt = next.nextAttemptAt;
+    const timer = setTimeout(
+      () => flushSyncQueue(),
+      Math.max(0, dueAt - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [syncQueue, user, isOnline, flushSyncQueue]);
+
+  // Guests are asked to sign in; signed-in roles are told why not.
+  function requirePermission(permission) {
+    if (can(user, permission)) return true;
+    if (!isLoggedIn) setShowLoginModal(true);
+    else showToast(deniedMessage(user, permission), "warning");
+    return false;
   }
 
   // Application
-  async function handleApply(jobId) {
-    if (!isLoggedIn) {
-      setShowLoginModal(true);
-      return;
-    }
+  // `application` comes from ApplicationForm; Quick Apply sends none.
+  async function handleApply(jobId, application = {}) {
+    if (!requirePermission("jobs:apply")) return;
     if (hasApplied(jobId)) {
       return;
     }
 
     try {
       setLoading(true);
+      const coverLetter = application.coverLetter || "";
+      const resume = application.resumeFile
+        ? await uploadResumeFile(application.resumeFile)
+        : application.resume || null;
+      const details = { answers: application.answers || [], resume };
+      let queued = false;
       // try API
       try {
-        await apiClient.applyToJob(jobId);
+        await apiClient.applyToJob(jobId, coverLetter, details);
         // When API success we'll reload from server; but here we just push local entry
       } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
         // fallback: local mock
+        const appliedAt = new Date().toISOString();
         const newApp = {
           id: `app-${Date.now()}`,
           jobId,
           status: "pending",
-          appliedAt: new Date().toISOString(),
+          appliedAt,
+          applicant: { name: user.name, email: user.email },
+          coverLetter,
+          ...details,
+          history: [
+            { status: "pending", changedBy: user.name, changedAt: appliedAt },
+          ],
         };
-        const next = [...applications, newApp];
-        setApplications(next);
-        localStorage.setItem("applications", JSON.stringify(next));
+        setApplications((prev) => [...prev, newApp]);
+        storeLocalApplication(newApp);
+        queueMutation("apply", {
+          jobId,
+          coverLetter,
+          details,
+          application: newApp,
+        });
+        queued = true;
       }
+      if (application.draftKey) clearApplicationDraft(application.draftKey);
+      setApplyingJobId(null);
       await loadUserData();
-      alert("Application submitted successfully!");
+      if (queued) {
+        showToast(
+          "You're offline. Your application will be sent once we reconnect.",
+          "info"
+        );
+      } else {
+        showToast("Application submitted successfully!");
+      }
     } catch (err) {
-      alert("Failed to submit application: " + (err.message || String(err)));
+      reportError(err, "Submitting your application");
     } finally {
       setLoading(false);
     }
@@ -630,20 +5669,23 @@ export default function App() {
 
   // Save / Unsave
   async function toggleSavedJob(jobId) {
-    if (!isLoggedIn) {
-      setShowLoginModal(true);
-      return;
-    }
+    if (!requirePermission("jobs:save")) return;
     try {
       setLoading(true);
       if (isSaved(jobId)) {
         try {
           await apiClient.unsaveJob(jobId);
         } catch (err) {
+          if (!canFallBackLocally(err)) throw err;
           // fallback to local removal
           const removed = savedJobs.filter((id) => id !== jobId);
           setSavedJobs(removed);
           localStorage.setItem("savedJobs", JSON.stringify(removed));
+          queueMutation("unsaveJob", { jobId });
+          showToast(
+            "You're offline. The job will be unsaved once we reconnect.",
+            "info"
+          );
           return;
         }
         const removed = savedJobs.filter((id) => id !== jobId);
@@ -653,10 +5695,16 @@ export default function App() {
         try {
           await apiClient.saveJob(jobId);
         } catch (err) {
+          if (!canFallBackLocally(err)) throw err;
           // fallback local add
           const next = [...savedJobs, jobId];
           setSavedJobs(next);
           localStorage.setItem("savedJobs", JSON.stringify(next));
+          queueMutation("saveJob", { jobId });
+          showToast(
+            "You're offline. The job will be saved once we reconnect.",
+            "info"
+          );
           return;
         }
         const next = [...savedJobs, jobId];
@@ -664,80 +5712,726 @@ export default function App() {
         localStorage.setItem("savedJobs", JSON.stringify(next));
       }
     } catch (err) {
-      alert("Failed to update saved jobs: " + (err.message || String(err)));
+      reportError(err, "Updating saved jobs");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Profile update (attempt API, fallback to localStorage)
+  async function handleProfileSave() {
+    if (!user) return;
+    // the rest of the profile (company, resume, ...) is kept as is
+    const profilePayload = {
+      name: profileEdit.name,
+      profile: {
+        ...user.profile,
+        phone: profileEdit.phone,
+        university: profileEdit.university,
+        major: profileEdit.major,
+        skills: profileEdit.skills,
+        ...(can(user, "jobs:apply") && {
+          preferences: {
+            ...profileEdit.preferences,
+            minSalary: Number(profileEdit.preferences.minSalary) || 0,
+          },
+        }),
+      },
+    };
+    let queued = false;
+    try {
+      setLoading(true);
+      try {
+        const updated = await apiClient.updateProfile(profilePayload);
+        setUser(updated);
+        localStorage.setItem("user", JSON.stringify(updated));
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        // fallback: update local user. The email stays as is, like online:
+        // queued writes belong to it (see flushSyncQueue).
+        const nextUser = {
+          ...user,
+          name: profileEdit.name,
+          profile: profilePayload.profile,
+        };
+        setUser(nextUser);
+        localStorage.setItem("user", JSON.stringify(nextUser));
+        queueMutation("updateProfile", { profile: profilePayload });
+        queued = true;
+      }
+      showToast(
+        queued
+          ? "Profile saved. Changes will sync once we reconnect."
+          : "Profile saved",
+        queued ? "info" : "success"
+      );
+    } catch (err) {
+      reportError(err, "Saving your profile");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function storeResumes(resumes, latest) {
+    const nextUser = {
+      ...(user || {}),
+      resumes,
+      resume: latest || resumes[resumes.length - 1] || null,
+    };
+    setUser(nextUser);
+    localStorage.setItem("user", JSON.stringify(nextUser));
+  }
+
+  // Uploads a resume as a new version, or in place of `replaceId`, and
+  // records it on the user. Returns the version; `local` marks the mock
+  // fallback.
+  async function uploadResumeFile(file, { name, replaceId } = {}) {
+    const invalid = validateResumeFile(file);
+    if (invalid) throw new Error(invalid);
+    const resumes = userResumes(user);
+    const replaced = resumes.find((r) => r.id === replaceId);
+    const version = {
+      id: replaced?.id || `resume-${Date.now()}`,
+      name: name || replaced?.name || resumeVersionName(file.name),
+      filename: file.name,
+      size: file.size,
+      uploadedAt: new Date().toISOString(),
+    };
+    const formData = new FormData();
+    formData.append("resume", file);
+    formData.append("name", version.name);
+    if (replaced) formData.append("replaceId", replaced.id);
+    let resume;
+    setResumeUploadProgress(0);
+    try {
+      const resp = await apiClient.uploadResume(formData, {
+        onProgress: setResumeUploadProgress,
+      });
+      resume = { ...version, ...resp?.resume };
+    } catch (err) {
+      if (!canFallBackLocally(err)) throw err;
+      // fallback local: keep the metadata; the file is only previewable
+      // until the page reloads
+      resume = { ...version, local: true };
+    } finally {
+      setResumeUploadProgress(null);
+    }
+    if (resumePreviewUrls.has(version.id)) {
+      URL.revokeObjectURL(resumePreviewUrls.get(version.id));
+      resumePreviewUrls.delete(version.id);
+    }
+    if (!resume.url)
+      resumePreviewUrls.set(resume.id, URL.createObjectURL(file));
+    storeResumes(
+      replaced
+        ? resumes.map((r) => (r.id === replaced.id ? resume : r))
+        : [...resumes, resume],
+      resume
+    );
+    return resume;
+  }
+
+  async function handleDeleteResume(id) {
+    const resumes = userResumes(user);
+    const resume = resumes.find((r) => r.id === id);
+    if (!resume || !window.confirm(`Delete "${resume.name}"?`)) return;
+    try {
+      setLoading(true);
+      if (!resume.local) {
+        try {
+          await apiClient.deleteResume(id);
+        } catch (err) {
+          if (!canFallBackLocally(err)) throw err;
+          queueMutation("deleteResume", { id });
+        }
+      }
+      if (resumePreviewUrls.has(id)) {
+        URL.revokeObjectURL(resumePreviewUrls.get(id));
+        resumePreviewUrls.delete(id);
+      }
+      const rest = resumes.filter((r) => r.id !== id);
+      storeResumes(
+        rest,
+        rest.find((r) => r.id === user.resume?.id)
+      );
+      showToast(`Deleted "${resume.name}".`, "success");
+    } catch (err) {
+      reportError(err, "Deleting your resume");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleResumeUpload(file, options) {
+    if (!requirePermission("resumes:manage")) return;
+    setResumeFile(file);
+    // Attempt to upload via API; fallback to local mock (store filename)
+    try {
+      setLoading(true);
+      const resume = await uploadResumeFile(file, options);
+      setResumeUploadMessage(
+        resume.local
+          ? `"${resume.name}" stored locally (mock).`
+          : `"${resume.name}" uploaded successfully (server).`
+      );
+    } catch (err) {
+      reportError(err, "Uploading your resume");
+    } finally {
+      setLoading(false);
+      setTimeout(() => setResumeUploadMessage(""), 4000);
+    }
+    // parsing is local, so it runs even when the upload failed; an
+    // unreadable file is reported like one without details
+    const knownSkills = [...new Set(jobs.flatMap((j) => j.tags || []))];
+    const details = await parseResumeFile(file, knownSkills).catch(() => null);
+    const found =
+      details &&
+      (RESUME_FIELDS.some(({ field }) => details[field]) ||
+        details.skills.length > 0);
+    if (found) {
+      setResumeDetails(details);
+    } else {
+      showToast("We couldn't read any profile details from that file.", "info");
+    }
+  }
+
+  // Copies the reviewed resume details into the (unsaved) profile form.
+  function acceptResumeDetails({ skills, ...fields }) {
+    setProfileEdit((p) => ({
+      ...p,
+      ...fields,
+      skills: [...new Set([...(p.skills || []), ...skills])],
+    }));
+    setResumeDetails(null);
+    showToast("Added to your profile. Review and save your changes.", "info");
+  }
+
+  // Job postings (startup teams). Attempt API, fall back to localStorage.
+  // A team sees its organization's postings (mock and older ones only point
+  // at the company); accounts from before teams keep matching on their company.
+  const myPostings = useMemo(() => {
+    if (!can(user, "postings:view")) return [];
+    if (can(user, "postings:all")) return jobs;
+    return jobs.filter((j) =>
+      organization
+        ? j.organizationId === organization.id ||
+          (!j.organizationId &&
+            isCompanyJob(j, {
+              id: organization.companyId,
+              name: organization.name,
+            }))
+        : j.postedBy === user.email ||
+          (user.profile?.company && j.company === user.profile.company)
+    );
+  }, [jobs, user, organization]);
+
+  // A paged feed keeps its order: edits replace in place, closed/paused
+  // postings drop out, new ones show up on the next load.
+  const upsertJob = (job) => {
+    setJobs((prev) => [job, ...prev.filter((j) => j.id !== job.id)]);
+    setJobFeed((prev) =>
+      prev.serverSide
+        ? {
+            ...prev,
+            items: prev.items
+              .map((j) => (j.id === job.id ? job : j))
+              .filter(isJobOpen),
+          }
+        : prev
+    );
+  };
+
+  async function handleSavePosting(draft) {
+    const existing = editingPosting?.id ? editingPosting : null;
+    if (!requirePermission(existing ? "postings:edit" : "postings:create")) {
+      return;
+    }
+    try {
+      setLoading(true);
+      let saved;
+      if (existing) {
+        const updates = { ...draft };
+        try {
+          saved = await apiClient.updateJob(existing.id, updates);
+        } catch (err) {
+          if (!canFallBackLocally(err)) throw err;
+          saved = { ...existing, ...updates };
+          storeLocalJob(saved);
+        }
+      } else {
+        const company = ownCompany;
+        const payload = {
+          ...draft,
+          company:
+            company?.name ||
+            organization?.name ||
+            user.profile?.company ||
+            user.name,
+          ...(company?.id && { companyId: company.id }),
+          logo: company?.logo,
+          funding: company?.funding,
+          postedBy: user.email,
+          ...(organization && { organizationId: organization.id }),
+          status: "open",
+        };
+        try {
+          saved = await apiClient.createJob(payload);
+        } catch (err) {
+          if (!canFallBackLocally(err)) throw err;
+          saved = {
+            ...payload,
+            id: `job-${Date.now()}`,
+            applicants: 0,
+            createdAt: new Date().toISOString(),
+          };
+          storeLocalJob(saved);
+        }
+      }
+      upsertJob(saved);
+      setEditingPosting(null);
+      showToast(existing ? "Job posting updated" : "Job posted");
+    } catch (err) {
+      reportError(err, "Saving the job posting");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function setPostingStatus(job, status) {
+    if (!requirePermission("postings:status")) return;
+    try {
+      setLoading(true);
+      let saved;
+      try {
+        saved =
+          status === "closed"
+            ? await apiClient.closeJob(job.id)
+            : await apiClient.updateJob(job.id, { status });
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        saved = { ...job, status };
+        storeLocalJob(saved);
+      }
+      upsertJob(saved);
+      showToast(
+        `"${job.title}" is now ${JOB_STATUS_LABELS[status].toLowerCase()}`
+      );
+    } catch (err) {
+      reportError(err, "Updating the job posting");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Applicant pipeline (recruiters). Attempt API, fall back to local records.
+  async function openPipeline(jobId) {
+    if (!requirePermission("applicants:view")) return;
+    setPipelineJobId(jobId);
+    try {
+      setLoading(true);
+      let apps;
+      try {
+        apps = await apiClient.getJobApplications(jobId);
+      } catch (err) {
+        if (!canFallBackLocally(err)) {
+          reportError(err, "Loading applicants");
+        }
+        apps = null;
+      }
+      setPipelineApps(
+        Array.isArray(apps) ? apps : localApplicationsForJob(jobId)
+      );
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function changeApplicationStatus(app, status) {
+    if (!(APPLICATION_TRANSITIONS[app.status] || []).includes(status)) return;
+    if (!requirePermission("applicants:review")) return;
+    try {
+      setLoading(true);
+      let updated;
+      try {
+        updated = await apiClient.updateApplicationStatus(app.id, status);
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        // fallback: record the transition locally with its audit entry
+        updated = {
+          ...app,
+          status,
+          history: [
+            ...(app.history || []),
+            {
+              status,
+              changedBy: user.name,
+              changedAt: new Date().toISOString(),
+            },
+          ],
+        };
+        storeLocalApplication(updated);
+      }
+      setPipelineApps((prev) =>
+        prev.map((a) => (a.id === updated.id ? updated : a))
+      );
+    } catch (err) {
+      reportError(err, "Updating the application");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Interview scheduling. The team's booked interviews come from
+  // GET /interviews, or the local applications when it's unreachable; a
+  // candidate's are their own applications.
+  const interviewJob = (app) => jobs.find((j) => j.id === app.jobId);
+
+  const candidateInterviews = bookedInterviews(applications, (app) => {
+    const job = interviewJob(app);
+    return job
+      ? `your ${job.title} interview at ${jobCompany(job).name}`
+      : "another of your interviews";
+  });
+
+  async function openInterviewScheduler(app) {
+    if (!requirePermission("interviews:schedule")) return;
+    let booked;
+    try {
+      booked = await apiClient.getInterviews();
+    } catch (err) {
+      if (!canFallBackLocally(err)) {
+        reportError(err, "Loading booked interviews");
+        return;
+      }
+      booked = null;
+    }
+    const postingIds = new Set(myPostings.map((j) => j.id));
+    setTeamInterviews(
+      Array.isArray(booked)
+        ? booked
+        : bookedInterviews(
+            readLocalApplications().filter((a) => postingIds.has(a.jobId)),
+            (a) =>
+              `${a.applicant?.name || "another candidate"}'s interview${
+                interviewJob(a) ? ` for ${interviewJob(a).title}` : ""
+              }`
+          )
+    );
+    setSchedulingApp(app);
+  }
+
+  async function handleProposeInterview(proposal) {
+    const app = schedulingApp;
+    if (!requirePermission("interviews:schedule")) return;
+    try {
+      setLoading(true);
+      let updated;
+      try {
+        updated = await apiClient.proposeInterview(app.id, proposal);
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        updated = proposeLocalInterview(app, proposal, user);
+        storeLocalApplication(updated);
+      }
+      setPipelineApps((prev) =>
+        prev.map((a) => (a.id === updated.id ? updated : a))
+      );
+      setSchedulingApp(null);
+      showToast(
+        `Sent ${proposal.slots.length} time${
+          proposal.slots.length === 1 ? "" : "s"
+        } to ${app.applicant?.name || "the candidate"}`
+      );
+    } catch (err) {
+      reportError(err, "Proposing interview times");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleAcceptInterview(app, slotId) {
+    if (!requirePermission("applications:own")) return;
+    try {
+      setLoading(true);
+      let updated;
+      try {
+        updated = await apiClient.acceptInterview(app.id, slotId);
+      } catch (err) {
+        if (!canFallBackLocally(err)) throw err;
+        // locally the company's other bookings are visible too
+        const job = interviewJob(app);
+        const companyName = job ? jobCompany(job).name : null;
+        const companyJobIds = new Set(
+          jobs
+            .filter((j) => jobCompany(j).name === companyName)
+            .map((j) => j.id)
+        );
+        updated = acceptLocalInterview(app, slotId, [
+          ...candidateInterviews,
+          ...bookedInterviews(
+            readLocalApplications().filter((a) => companyJobIds.has(a.jobId)),
+            () => `another ${companyName} interview`
+          ),
+        ]);
+        storeLocalApplication(updated);
+      }
+      setApplications((prev) =>
+        prev.map((a) => (a.id === updated.id ? updated : a))
+      );
+      showToast(
+        `Interview booked: ${describeInterviewTime(
+          updated.interview,
+          confirmedSlot(updated.interview)
+        )}`
+      );
+    } catch (err) {
+      reportError(err, "Booking the interview");
     } finally {
       setLoading(false);
     }
   }
 
-  // Profile update (attempt API, fallback to localStorage)
-  async function handleProfileSave() {
-    if (!user) return;
-    const profilePayload = {
-      name: profileEdit.name,
-      profile: {
-        university: profileEdit.university,
-        major: profileEdit.major,
-        skills: profileEdit.skills,
+  const downloadInterview = (app) => {
+    const job = interviewJob(app);
+    downloadIcs(
+      buildInterviewIcs({
+        app,
+        job,
+        companyName: job ? jobCompany(job).name : "",
+      }),
+      `interview-${app.id}.ics`
+    );
+  };
+
+  // Messaging. Candidates see the threads of their own applications, teams
+  // those of the postings they manage.
+  const isCandidate = can(user, "applications:own");
+
+  const canSeeThread = useCallback(
+    (m) =>
+      isCandidate
+        ? applications.some((a) => a.id === m.applicationId)
+        : myPostings.some((j) => j.id === m.jobId),
+    [isCandidate, applications, myPostings]
+  );
+
+  const threadMessages = useCallback(
+    (applicationId) =>
+      messages.filter((m) => m.applicationId === applicationId),
+    [messages]
+  );
+
+  const threadUnread = useCallback(
+    (applicationId) =>
+      threadMessages(applicationId).filter(
+        (m) =>
+          m.sender.email !== user?.email &&
+          m.sentAt > (messageReads[applicationId] || "")
+      ).length,
+    [threadMessages, user?.email, messageReads]
+  );
+
+  const threadTitle = ({ applicationId, jobId, applicantName }) => {
+    const job = jobs.find((j) => j.id === jobId);
+    const other = isCandidate
+      ? job
+        ? jobCompany(job).name
+        : "the startup"
+      : applicantName ||
+        threadMessages(applicationId).find((m) => m.sender.side === "candidate")
+          ?.sender.name ||
+        "the candidate";
+    return `${job?.title || "Application"} · ${other}`;
+  };
+
+  // latest message first
+  const messageThreads = useMemo(() => {
+    const latest = new Map();
+    messages
+      .filter(canSeeThread)
+      .forEach((m) => latest.set(m.applicationId, m));
+    return [...latest.values()]
+      .sort((a, b) => (a.sentAt < b.sentAt ? 1 : -1))
+      .map((last) => ({
+        applicationId: last.applicationId,
+        jobId: last.jobId,
+        last,
+        unread: threadUnread(last.applicationId),
+      }));
+  }, [messages, canSeeThread, threadUnread]);
+
+  const unreadMessageCount = messageThreads.reduce((n, t) => n + t.unread, 0);
+
+  // Read up to the thread's latest message (the server's clock, not ours).
+  const markThreadRead = useCallback(
+    (applicationId) => {
+      const readAt = latestSentAt(threadMessages(applicationId));
+      if (!readAt || readAt <= (messageReads[applicationId] || "")) return;
+      setMessageReads((prev) => ({ ...prev, [applicationId]: readAt }));
+      const stored = readStoredJSON("messageReads", {});
+      localStorage.setItem(
+        "messageReads",
+        JSON.stringify({
+          ...stored,
+          [user.email]: { ...stored[user.email], [applicationId]: readAt },
+        })
+      );
+      apiClient.markThreadRead(applicationId).catch(() => {});
+    },
+    [threadMessages, messageReads, user]
+  );
+
+  const openMessages = (thread) => {
+    setShowInbox(false);
+    setOpenThread(thread);
+  };
+
+  async function handleSendMessage({ body, attachments }) {
+    if (!requirePermission("messages:send")) return false;
+    const thread = openThread;
+    const message = {
+      clientId: `msg-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      applicationId: thread.applicationId,
+      jobId: thread.jobId,
+      sender: {
+        email: user.email,
+        name: user.name,
+        side: isCandidate ? "candidate" : "team",
       },
+      body,
+      attachments,
+      sentAt: new Date().toISOString(),
     };
     try {
       setLoading(true);
+      let saved;
       try {
-        const updated = await apiClient.updateProfile(profilePayload);
-        setUser(updated);
-        localStorage.setItem("user", JSON.stringify(updated));
+        saved = await apiClient.sendMessage(thread.applicationId, message);
       } catch (err) {
-        // fallback: update local user
-        const nextUser = {
-          ...user,
-          name: profileEdit.name,
-          email: profileEdit.email,
-          profile: profilePayload.profile,
-        };
-        setUser(nextUser);
-        localStorage.setItem("user", JSON.stringify(nextUser));
+        if (!canFallBackLocally(err)) throw err;
+        saved = { ...message, id: message.clientId, pending: true };
+        storeLocalMessage(saved);
+        queueMutation("sendMessage", {
+          applicationId: thread.applicationId,
+          message,
+        });
       }
-      alert("Profile saved");
+      setMessages((prev) => mergeMessages(prev, [saved]));
+      return true;
     } catch (err) {
-      alert("Failed to save profile: " + (err.message || String(err)));
+      reportError(err, "Sending your message");
+      return false;
     } finally {
       setLoading(false);
     }
   }
 
-  // Resume upload via hidden file input and FormData
-  async function handleResumeFileChange(e) {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    setResumeFile(file);
-    // Attempt to upload via API; fallback to local mock (store filename)
+  // live messages and read state for the signed-in user
+  useEffect(() => {
+    setMessages([]);
+    if (!user?.email) {
+      setMessageReads({});
+      return;
+    }
+    setMessageReads(readStoredJSON("messageReads", {})[user.email] || {});
+    const transport = createMessageTransport();
+    transport.start((list) => setMessages((prev) => mergeMessages(prev, list)));
+    return () => transport.stop();
+  }, [user?.email]);
+
+  // an open thread stays read as messages arrive
+  useEffect(() => {
+    if (openThread) markThreadRead(openThread.applicationId);
+  }, [openThread, markThreadRead]);
+
+  // Saved searches (attempt API, fallback to localStorage like savedJobs)
+  const storeSavedSearches = (next) => {
+    setSavedSearches(next);
+    localStorage.setItem("savedSearches", JSON.stringify(next));
+  };
+
+  async function handleSaveSearch(e) {
+    e?.preventDefault?.();
+    if (!isLoggedIn) {
+      setShowLoginModal(true);
+      return;
+    }
+    const criteria = {
+      term: searchTerm.trim(),
+      filters: selectedFilters,
+      minSalary,
+    };
+    const draft = {
+      name:
+        newSearchName.trim() ||
+        criteria.term ||
+        selectedFilters.map(filterLabel).join(", "),
+      ...criteria,
+      // everything matching right now counts as seen; only later jobs alert
+      seenJobIds: savedSearchMatches(criteria, jobs).map((j) => j.id),
+    };
     try {
-      setLoading(true);
-      const formData = new FormData();
-      formData.append("resume", file);
+      let created;
       try {
-        await apiClient.uploadResume(formData);
-        setResumeUploadMessage("Resume uploaded successfully (server).");
+        created = await apiClient.createSavedSearch(draft);
       } catch (err) {
-        // fallback local: simulate upload success & store file name in user object
-        const nextUser = {
-          ...(user || {}),
-          resume: { filename: file.name, uploadedAt: new Date().toISOString() },
+        if (!canFallBackLocally(err)) throw err;
+        created = {
+          ...draft,
+          id: `search-${Date.now()}`,
+          createdAt: new Date().toISOString(),
         };
-        setUser(nextUser);
-        localStorage.setItem("user", JSON.stringify(nextUser));
-        setResumeUploadMessage("Resume stored locally (mock).");
       }
+      storeSavedSearches([...savedSearches, created]);
+      setNewSearchName("");
+      showToast(`Saved search "${created.name}"`);
     } catch (err) {
-      setResumeUploadMessage("Upload failed: " + (err.message || ""));
-    } finally {
-      setLoading(false);
-      setTimeout(() => setResumeUploadMessage(""), 4000);
+      reportError(err, "Saving the search");
+    }
+  }
+
+  async function applySavedSearch(search) {
+    setSearchTerm(search.term || "");
+    setSelectedFilters(search.filters || []);
+    setMinSalary(search.minSalary || 0);
+    setActiveTab("jobs");
+
+    const unseen = unseenSavedSearchMatches(search, jobs);
+    if (unseen.length === 0) return;
+    const seenJobIds = [
+      ...(search.seenJobIds || []),
+      ...unseen.map((j) => j.id),
+    ];
+    try {
+      await apiClient.updateSavedSearch(search.id, { seenJobIds });
+    } catch (err) {
+      if (!canFallBackLocally(err)) {
+        reportError(err, "Updating the saved search");
+        return;
+      }
+      // fallback: local only
+    }
+    storeSavedSearches(
+      savedSearches.map((s) => (s.id === search.id ? { ...s, seenJobIds } : s))
+    );
+  }
+
+  async function removeSavedSearch(id) {
+    try {
+      await apiClient.deleteSavedSearch(id);
+    } catch (err) {
+      if (!canFallBackLocally(err)) {
+        reportError(err, "Deleting the saved search");
+        return;
+      }
+      // fallback: local only
     }
+    storeSavedSearches(savedSearches.filter((s) => s.id !== id));
   }
 
   // Filter helpers
+  const toggleFilter = (f) =>
+    selectedFilters.includes(f) ? removeFilter(f) : addFilter(f);
   const addFilter = (f) => {
     if (!selectedFilters.includes(f))
       setSelectedFilters([...selectedFilters, f]);
@@ -746,25 +6440,87 @@ export default function App() {
     setSelectedFilters(selectedFilters.filter((x) => x !== f));
   const clearFilters = () => {
     setSelectedFilters([]);
+    setMinSalary(0);
     setSearchTerm("");
-    loadJobs();
   };
 
-  // Mark notification read
-  const markNotificationRead = (id) => {
-    setNotifications((prev) =>
-      prev.map((n) => (n.id === id ? { ...n, read: true } : n))
+  // Notifications: server feed when available, otherwise derived from events
+  const notifications = useMemo(() => {
+    const list =
+      notificationFeed ||
+      buildNotifications({
+        user,
+        jobs,
+        applications,
+        savedJobs,
+        savedSearches,
+      });
+    return list
+      .map((n) => ({
+        ...n,
+        read: n.read || readNotificationIds.includes(n.id),
+      }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }, [
+    savedSearches,
+    notificationFeed,
+    user,
+    jobs,
+    applications,
+    savedJobs,
+    readNotificationIds,
+  ]);
+
+  const unreadCount = notifications.filter((n) => !n.read).length;
+
+  // Read state is always kept locally; the API call is best effort.
+  const markNotificationsRead = (ids) => {
+    if (!user || ids.length === 0) return;
+    const next = Array.from(new Set([...readNotificationIds, ...ids]));
+    setReadNotificationIds(next);
+    const stored = readStoredJSON("readNotifications", {});
+    localStorage.setItem(
+      "readNotifications",
+      JSON.stringify({ ...stored, [user.email]: next })
+    );
+    apiClient.markNotificationsRead(ids).catch(() => {});
+  };
+
+  const markNotificationRead = (id) => markNotificationsRead([id]);
+
+  const markAllNotificationsRead = () =>
+    markNotificationsRead(
+      notifications.filter((n) => !n.read).map((n) => n.id)
     );
+
+  const openNotification = (n) => {
+    markNotificationRead(n.id);
+    setShowNotifications(false);
+    if (n.jobId) {
+      const job = jobs.find((j) => j.id === n.jobId);
+      if (job) setSelectedJob(job);
+    } else if (n.tab) {
+      setActiveTab(n.tab);
+    }
   };
 
   // company job counts dynamic
   const companyJobCounts = useMemo(() => {
     const counts = {};
     for (const j of jobs) {
-      counts[j.company] = (counts[j.company] || 0) + 1;
+      if (!isJobOpen(j)) continue;
+      const company = findJobCompany(j, companies);
+      const key = company ? companyRouteKey(company) : j.company;
+      counts[key] = (counts[key] || 0) + 1;
     }
     return counts;
-  }, [jobs]);
+  }, [jobs, companies]);
+
+  // The views below are defined inside App, so every App render gives them
+  // a new component type and React remounts them, losing any local state.
+  // Forms that hold a draft (application, posting and company editors,
+  // interview slots, message composer) are module-level components instead,
+  // rendered straight from App's JSX in modals at the end of <main>.
 
   // UI bits for Login/Register forms (kept here)
   const LoginModal = ({ open }) => {
@@ -842,9 +6598,51 @@ export default function App() {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg"
                 >
                   <option value="student">Student/Graduate</option>
-                  <option value="startup">Startup Recruiter</option>
+                  <option value="startup">Startup Team</option>
                 </select>
               </div>
+              {registerForm.type === "startup" && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Invite code
+                    </label>
+                    <input
+                      value={registerForm.inviteCode}
+                      onChange={(e) =>
+                        setRegisterForm({
+                          ...registerForm,
+                          inviteCode: e.target.value,
+                        })
+                      }
+                      placeholder="From your team's invite email"
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono uppercase"
+                    />
+                  </div>
+                  {!registerForm.inviteCode.trim() && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Company
+                      </label>
+                      <input
+                        required
+                        value={registerForm.company}
+                        onChange={(e) =>
+                          setRegisterForm({
+                            ...registerForm,
+                            company: e.target.value,
+                          })
+                        }
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        No invite? You'll start your company's team as its
+                        owner.
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
 
               <button
                 type="submit"
@@ -898,11 +6696,12 @@ export default function App() {
               </div>
 
               <div className="bg-blue-50 p-3 rounded-lg text-sm text-blue-700">
-                <strong>Demo Accounts:</strong>
-                <br />
-                Student: student@example.com / password123
-                <br />
-                Startup: startup@example.com / password123
+                <strong>Demo Accounts</strong> (password {DEMO_PASSWORD}):
+                {Object.values(DEMO_ACCOUNTS).map((account) => (
+                  <div key={account.email}>
+                    {ROLE_LABELS[userRole(account)]}: {account.email}
+                  </div>
+                ))}
               </div>
 
               <button
@@ -930,7 +6729,15 @@ export default function App() {
   };
 
   // JobCard (compact)
+  // Signed-in roles see actions they can't take disabled, with the reason;
+  // guests keep them since they lead to the sign-in prompt.
+  const deniedReason = (permission) =>
+    isLoggedIn && !can(user, permission) ? deniedMessage(user, permission) : "";
+
   const JobCard = ({ job }) => {
+    const match = jobMatches.get(job.id);
+    const applyDenied = deniedReason("jobs:apply");
+    const saveDenied = deniedReason("jobs:save");
     return (
       <div
         key={job.id}
@@ -940,21 +6747,36 @@ export default function App() {
         <div className="p-6">
           <div className="flex items-start justify-between">
             <div className="flex space-x-4 flex-1">
-              <div className="text-3xl">{job.logo || "ðŸš€"}</div>
+              <div className="text-3xl">
+                <CompanyLogo logo={jobCompany(job).logo} />
+              </div>
               <div className="flex-1">
                 <div className="flex items-center space-x-3 mb-2">
                   <h3 className="text-xl font-semibold text-gray-800 hover:text-blue-600 transition-colors">
-                    {job.title}
+                    <Highlight text={job.title} terms={searchTerms} />
                   </h3>
                   <span className="bg-green-100 text-green-700 text-xs px-2 py-1 rounded-full">
                     {job.stage || "Seed"}
                   </span>
+                  {match && (
+                    <span
+                      className={`text-xs px-2 py-1 rounded-full ${matchStyle(
+                        match.score
+                      )}`}
+                    >
+                      {match.score}% match
+                    </span>
+                  )}
                 </div>
-                <p className="text-lg text-gray-600 mb-2">{job.company}</p>
+                <p className="text-lg text-gray-600 mb-2">
+                  <Highlight text={jobCompany(job).name} terms={searchTerms} />
+                </p>
                 <div className="flex items-center space-x-4 text-sm text-gray-500 mb-3">
                   <span className="flex items-center space-x-1">
                     <MapPin className="w-4 h-4" />
-                    <span>{job.location}</span>
+                    <span>
+                      <Highlight text={job.location} terms={searchTerms} />
+                    </span>
                   </span>
                   <span className="flex items-center space-x-1">
                     <Briefcase className="w-4 h-4" />
@@ -962,7 +6784,7 @@ export default function App() {
                   </span>
                   <span className="flex items-center space-x-1">
                     <Clock className="w-4 h-4" />
-                    <span>{job.postedDays || 2}d ago</span>
+                    <span>{jobPostedDays(job)}d ago</span>
                   </span>
                 </div>
                 <div className="flex flex-wrap gap-2 mb-4">
@@ -971,11 +6793,33 @@ export default function App() {
                       key={tag}
                       className="bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm"
                     >
-                      {tag}
+                      <Highlight text={tag} terms={searchTerms} />
                     </span>
                   ))}
                 </div>
-                <p className="text-gray-600 line-clamp-2">{job.description}</p>
+                <p className="text-gray-600 line-clamp-2">
+                  <Highlight text={job.description} terms={searchTerms} />
+                </p>
+                {match &&
+                  match.matchedSkills.length + match.missingSkills.length >
+                    0 && (
+                    <p className="text-sm mt-2">
+                      {match.matchedSkills.length > 0 && (
+                        <span className="text-green-700">
+                          ✓ {match.matchedSkills.join(", ")}
+                        </span>
+                      )}
+                      {match.matchedSkills.length > 0 &&
+                        match.missingSkills.length > 0 && (
+                          <span className="text-gray-400"> · </span>
+                        )}
+                      {match.missingSkills.length > 0 && (
+                        <span className="text-gray-500">
+                          Missing: {match.missingSkills.join(", ")}
+                        </span>
+                      )}
+                    </p>
+                  )}
               </div>
             </div>
 
@@ -984,7 +6828,9 @@ export default function App() {
                 e.stopPropagation();
                 toggleSavedJob(job.id);
               }}
-              className="p-2 text-gray-400 hover:text-red-500 transition-colors"
+              disabled={!!saveDenied}
+              title={saveDenied || undefined}
+              className="p-2 text-gray-400 hover:text-red-500 transition-colors disabled:opacity-40 disabled:hover:text-gray-400 disabled:cursor-not-allowed"
             >
               <Heart
                 className={`w-5 h-5 ${
@@ -996,10 +6842,18 @@ export default function App() {
 
           <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-100">
             <div className="flex items-center space-x-4 text-sm">
-              <span className="font-medium text-green-600">{job.salary}</span>
-              <span className="text-purple-600">
-                + {job.equity || "0.1%"} equity
+              <span className="font-medium text-green-600">
+                {formatSalary(job, salaryPeriod)}
               </span>
+              {formatEquity(job) && (
+                <span className="text-purple-600">
+                  + {formatEquity(job)} equity
+                  {parseCompensation(job).equity.vesting &&
+                    ` (${formatVesting(
+                      parseCompensation(job).equity.vesting
+                    )})`}
+                </span>
+              )}
               <span className="text-gray-500">
                 {job.applicants || 0} applicants
               </span>
@@ -1008,14 +6862,26 @@ export default function App() {
               <button
                 onClick={(e) => {
                   e.stopPropagation();
-                  handleApply(job.id);
+                  // required screening questions need the full form
+                  if (
+                    isLoggedIn &&
+                    (job.screeningQuestions || []).some((q) => q.required)
+                  ) {
+                    setSelectedJob(job);
+                    setApplyingJobId(job.id);
+                  } else {
+                    handleApply(job.id);
+                  }
                 }}
                 className={`px-4 py-2 rounded-lg transition-colors ${
                   hasApplied(job.id)
                     ? "bg-green-100 text-green-700 cursor-not-allowed"
+                    : applyDenied
+                    ? "bg-gray-100 text-gray-400 cursor-not-allowed"
                     : "bg-blue-50 text-blue-600 hover:bg-blue-100"
                 }`}
-                disabled={hasApplied(job.id)}
+                disabled={hasApplied(job.id) || !!applyDenied}
+                title={applyDenied || undefined}
               >
                 {hasApplied(job.id) ? "Applied" : "Quick Apply"}
               </button>
@@ -1039,18 +6905,25 @@ export default function App() {
   // Job detail modal component
   const JobDetailModal = ({ job, onClose }) => {
     if (!job) return null;
+    const match = jobMatches.get(job.id) || null;
+    const applyDenied = deniedReason("jobs:apply");
+    const saveDenied = deniedReason("jobs:save");
     return (
       <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
         <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
           <div className="p-6">
             <div className="flex items-start justify-between mb-6">
               <div className="flex space-x-4">
-                <div className="text-4xl">{job.logo || "ðŸš€"}</div>
+                <div className="text-4xl">
+                  <CompanyLogo logo={jobCompany(job).logo} />
+                </div>
                 <div>
                   <h2 className="text-2xl font-bold text-gray-800">
                     {job.title}
                   </h2>
-                  <p className="text-lg text-gray-600">{job.company}</p>
+                  <p className="text-lg text-gray-600">
+                    {jobCompany(job).name}
+                  </p>
                   <div className="flex items-center space-x-4 text-sm text-gray-500 mt-2">
                     <span className="flex items-center space-x-1">
                       <MapPin className="w-4 h-4" />
@@ -1072,9 +6945,64 @@ export default function App() {
             </div>
 
             <div className="space-y-6">
+              {match && (
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-lg font-semibold">Your Match</h3>
+                    <span
+                      className={`text-sm px-3 py-1 rounded-full ${matchStyle(
+                        match.score
+                      )}`}
+                    >
+                      {match.score}% match
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full"
+                      style={{ width: `${match.score}%` }}
+                    />
+                  </div>
+                  {match.matchedSkills.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mb-2">
+                      {match.matchedSkills.map((skill) => (
+                        <span
+                          key={skill}
+                          className="bg-green-100 text-green-700 px-3 py-1 rounded-full text-sm"
+                        >
+                          ✓ {skill}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {match.missingSkills.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {match.missingSkills.map((skill) => (
+                        <span
+                          key={skill}
+                          className="bg-white border border-gray-200 text-gray-500 px-3 py-1 rounded-full text-sm"
+                        >
+                          {skill}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div>
                 <h3 className="text-lg font-semibold mb-3">About the Role</h3>
                 <p className="text-gray-600">{job.description}</p>
+                {jobClosesInDays(job) != null && jobClosesInDays(job) >= 0 && (
+                  <p className="text-sm text-orange-600 mt-2">
+                    Applications close{" "}
+                    {jobClosesInDays(job) === 0
+                      ? "today"
+                      : `in ${jobClosesInDays(job)} day${
+                          jobClosesInDays(job) === 1 ? "" : "s"
+                        }`}
+                  </p>
+                )}
               </div>
 
               <div>
@@ -1124,34 +7052,56 @@ export default function App() {
                 <div className="flex items-center justify-between">
                   <div>
                     <div className="text-lg font-semibold text-green-600">
-                      {job.salary}
-                    </div>
-                    <div className="text-purple-600">
-                      + {job.equity || "0.1%"} equity
+                      {formatSalary(job, salaryPeriod)}
                     </div>
+                    {formatEquity(job) && (
+                      <div className="text-purple-600">
+                        + {formatEquity(job)} equity
+                      </div>
+                    )}
+                    {parseCompensation(job).equity.vesting && (
+                      <div className="text-sm text-gray-500">
+                        {formatVesting(parseCompensation(job).equity.vesting)}
+                      </div>
+                    )}
                   </div>
                   <div className="text-right">
                     <div className="text-sm text-gray-500">Funding</div>
-                    <div className="font-medium">{job.funding || "CHF 5M"}</div>
+                    <div className="font-medium">
+                      {jobCompany(job).funding || "CHF 5M"}
+                    </div>
                   </div>
                 </div>
               </div>
 
               <div className="flex space-x-3">
-                <button
-                  onClick={() => handleApply(job.id)}
-                  className={`flex-1 py-3 rounded-lg font-medium transition-all ${
-                    hasApplied(job.id)
-                      ? "bg-green-100 text-green-700 cursor-not-allowed"
-                      : "bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700"
-                  }`}
-                  disabled={hasApplied(job.id)}
-                >
-                  {hasApplied(job.id) ? "Application Submitted" : "Apply Now"}
-                </button>
+                {applyingJobId !== job.id && (
+                  <button
+                    onClick={() => {
+                      if (!isLoggedIn) {
+                        setShowLoginModal(true);
+                      } else {
+                        setApplyingJobId(job.id);
+                      }
+                    }}
+                    className={`flex-1 py-3 rounded-lg font-medium transition-all ${
+                      hasApplied(job.id)
+                        ? "bg-green-100 text-green-700 cursor-not-allowed"
+                        : applyDenied
+                        ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                        : "bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700"
+                    }`}
+                    disabled={hasApplied(job.id) || !!applyDenied}
+                    title={applyDenied || undefined}
+                  >
+                    {hasApplied(job.id) ? "Application Submitted" : "Apply Now"}
+                  </button>
+                )}
                 <button
                   onClick={() => toggleSavedJob(job.id)}
-                  className={`px-6 py-3 rounded-lg border transition-all ${
+                  disabled={!!saveDenied}
+                  title={saveDenied || undefined}
+                  className={`px-6 py-3 rounded-lg border transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
                     isSaved(job.id)
                       ? "bg-red-50 border-red-200 text-red-600"
                       : "bg-gray-50 border-gray-200 text-gray-600 hover:bg-gray-100"
@@ -1164,6 +7114,9 @@ export default function App() {
                   />
                 </button>
               </div>
+              {applyDenied && (
+                <p className="mt-3 text-sm text-gray-500">{applyDenied}</p>
+              )}
             </div>
           </div>
         </div>
@@ -1171,58 +7124,243 @@ export default function App() {
     );
   };
 
+  const activeTabPermission = NAV_TABS.find(
+    (tab) => tab.id === activeTab
+  )?.permission;
+  const tabDenied =
+    isLoggedIn && !!activeTabPermission && !can(user, activeTabPermission);
+
+  const NotPermittedView = ({ permission }) => (
+    <div className="text-center py-12">
+      <Lock className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">
+        Not permitted
+      </h2>
+      <p className="text-gray-500 mb-4">
+        {deniedMessage(user, permission)} You're signed in as {user?.email}.
+      </p>
+      <button
+        onClick={() => setActiveTab("jobs")}
+        className="bg-blue-600 text-white px-6 py-2 rounded-lg"
+      >
+        Browse Jobs
+      </button>
+    </div>
+  );
+
+  // Tabs depend on the role (see NAV_TABS): recruiters manage postings,
+  // students track their saved jobs and applications.
+  const navTabs = NAV_TABS.filter(
+    ({ permission }) =>
+      !permission || can(isLoggedIn ? user : { type: "student" }, permission)
+  ).map((tab) =>
+    tab.id === "postings" && can(user, "postings:all")
+      ? { ...tab, label: "All Postings" }
+      : tab
+  );
+
+  // Message threads with unread counts; opening one shows it in a modal.
+  const MessageInbox = () => (
+    <div className="relative">
+      <button
+        onClick={() => setShowInbox(!showInbox)}
+        className="relative p-2 text-gray-600 hover:text-blue-600"
+        aria-label="Messages"
+      >
+        <MessageSquare className="w-5 h-5" />
+        {unreadMessageCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadMessageCount > 9 ? "9+" : unreadMessageCount}
+          </span>
+        )}
+      </button>
+
+      {showInbox && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-100 z-50">
+          <div className="px-4 py-3 border-b border-gray-100 font-semibold text-gray-800">
+            Messages
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {messageThreads.length === 0 ? (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">
+                No conversations yet
+              </p>
+            ) : (
+              messageThreads.map((t) => (
+                <button
+                  key={t.applicationId}
+                  onClick={() => openMessages(t)}
+                  className={`block w-full text-left px-4 py-3 border-b border-gray-50 hover:bg-gray-50 ${
+                    t.unread > 0 ? "bg-blue-50/50" : ""
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium text-gray-800 truncate">
+                      {threadTitle(t)}
+                    </span>
+                    {t.unread > 0 && (
+                      <span className="bg-red-500 text-white text-xs rounded-full px-2">
+                        {t.unread}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 truncate">
+                    {t.last.sender.email === user?.email ? "You: " : ""}
+                    {t.last.body ||
+                      (t.last.attachments || []).map((a) => a.name).join(", ")}
+                  </p>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  // Bell + dropdown; open state lives in App so it survives re-renders
+  const NotificationBell = () => (
+    <div className="relative">
+      <button
+        onClick={() => setShowNotifications(!showNotifications)}
+        className="relative p-2 text-gray-600 hover:text-blue-600"
+        aria-label="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadCount > 9 ? "9+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {showNotifications && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-100 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <span className="font-semibold text-gray-800">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllNotificationsRead}
+                className="text-sm text-blue-600 hover:text-blue-700"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">
+                You're all caught up
+              </p>
+            ) : (
+              notifications.map((n) => (
+                <button
+                  key={n.id}
+                  onClick={() => openNotification(n)}
+                  className={`block w-full text-left px-4 py-3 border-b border-gray-50 hover:bg-gray-50 ${
+                    n.read ? "" : "bg-blue-50/50"
+                  }`}
+                >
+                  <div className="flex items-start space-x-2">
+                    {!n.read && (
+                      <span className="mt-2 w-2 h-2 bg-blue-500 rounded-full flex-shrink-0" />
+                    )}
+                    <div>
+                      <p className="text-sm text-gray-700">{n.message}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {timeAgo(n.createdAt)}
+                      </p>
+                    </div>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  // Top-level nav always lands on the tab's index (e.g. the companies grid)
+  const openTab = (tab) => {
+    setCompanyKey(null);
+    setActiveTab(tab);
+  };
+
   // Simple header component
+  const pendingSyncCount = user
+    ? ownMutations(syncQueue, user.email).length
+    : 0;
+
+  const SyncIndicator = () =>
+    pendingSyncCount > 0 || !isOnline ? (
+      <button
+        onClick={() => flushSyncQueue({ force: true })}
+        disabled={syncing || !isOnline}
+        className="flex items-center space-x-1 text-xs bg-yellow-50 text-yellow-800 border border-yellow-200 px-2 py-1 rounded-full disabled:opacity-70"
+        title={
+          isOnline
+            ? "Some changes haven't reached the server yet. Click to retry."
+            : "You're offline. Changes are saved locally."
+        }
+      >
+        {isOnline ? (
+          <RefreshCw className={`w-3 h-3 ${syncing ? "animate-spin" : ""}`} />
+        ) : (
+          <CloudOff className="w-3 h-3" />
+        )}
+        <span>
+          {isOnline
+            ? `${pendingSyncCount} pending sync`
+            : pendingSyncCount > 0
+            ? `Offline · ${pendingSyncCount} pending sync`
+            : "Offline"}
+        </span>
+      </button>
+    ) : null;
+
   const Header = () => {
     const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
     return (
       <header className="bg-white shadow-sm sticky top-0 z-50">
         <nav className="container mx-auto px-6 py-4 flex justify-between items-center">
-          <a href="#" className="text-2xl font-bold text-blue-600">
+          <a
+            href="/jobs"
+            onClick={(e) => {
+              e.preventDefault();
+              setSelectedJob(null);
+              setActiveTab("jobs");
+            }}
+            className="text-2xl font-bold text-blue-600"
+          >
             SwissStartup Connect
           </a>
 
           <div className="hidden lg:flex items-center space-x-8">
-            <button
-              onClick={() => setActiveTab("jobs")}
-              className={`text-gray-600 hover:text-blue-600 transition ${
-                activeTab === "jobs" ? "text-blue-600 font-medium" : ""
-              }`}
-            >
-              Jobs
-            </button>
-            <button
-              onClick={() => setActiveTab("companies")}
-              className={`text-gray-600 hover:text-blue-600 transition ${
-                activeTab === "companies" ? "text-blue-600 font-medium" : ""
-              }`}
-            >
-              Companies
-            </button>
-            <button
-              onClick={() => setActiveTab("saved")}
-              className={`text-gray-600 hover:text-blue-600 transition ${
-                activeTab === "saved" ? "text-blue-600 font-medium" : ""
-              }`}
-            >
-              Saved
-            </button>
-            <button
-              onClick={() => setActiveTab("applications")}
-              className={`text-gray-600 hover:text-blue-600 transition ${
-                activeTab === "applications" ? "text-blue-600 font-medium" : ""
-              }`}
-            >
-              Applications
-            </button>
+            {navTabs.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => openTab(tab.id)}
+                className={`text-gray-600 hover:text-blue-600 transition ${
+                  activeTab === tab.id ? "text-blue-600 font-medium" : ""
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
           </div>
 
           <div className="hidden lg:flex items-center space-x-4">
             {isLoggedIn ? (
               <div className="flex items-center space-x-3">
+                <SyncIndicator />
+                <MessageInbox />
+                <NotificationBell />
                 <button
                   onClick={() => setActiveTab("profile")}
                   className="text-gray-600 hover:text-blue-600 flex items-center space-x-2"
+                  title={ROLE_LABELS[userRole(user)]}
                 >
                   <span>{user?.name}</span>
                 </button>
@@ -1252,7 +7390,10 @@ export default function App() {
           </div>
 
           {/* Mobile Menu Button */}
-          <div className="lg:hidden">
+          <div className="lg:hidden flex items-center space-x-2">
+            {isLoggedIn && <SyncIndicator />}
+            {isLoggedIn && <MessageInbox />}
+            {isLoggedIn && <NotificationBell />}
             <button
               onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
               className="text-gray-600 focus:outline-none"
@@ -1278,42 +7419,18 @@ export default function App() {
         {/* Mobile Menu */}
         {mobileMenuOpen && (
           <div className="lg:hidden flex flex-col items-center py-4 space-y-4 bg-white border-t">
-            <button
-              onClick={() => {
-                setActiveTab("jobs");
-                setMobileMenuOpen(false);
-              }}
-              className="text-gray-600 hover:text-blue-600 transition"
-            >
-              Jobs
-            </button>
-            <button
-              onClick={() => {
-                setActiveTab("companies");
-                setMobileMenuOpen(false);
-              }}
-              className="text-gray-600 hover:text-blue-600 transition"
-            >
-              Companies
-            </button>
-            <button
-              onClick={() => {
-                setActiveTab("saved");
-                setMobileMenuOpen(false);
-              }}
-              className="text-gray-600 hover:text-blue-600 transition"
-            >
-              Saved
-            </button>
-            <button
-              onClick={() => {
-                setActiveTab("applications");
-                setMobileMenuOpen(false);
-              }}
-              className="text-gray-600 hover:text-blue-600 transition"
-            >
-              Applications
-            </button>
+            {navTabs.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => {
+                  openTab(tab.id);
+                  setMobileMenuOpen(false);
+                }}
+                className="text-gray-600 hover:text-blue-600 transition"
+              >
+                {tab.label}
+              </button>
+            ))}
             {isLoggedIn ? (
               <div className="flex flex-col items-center space-y-4 w-full px-6">
                 <button
@@ -1377,10 +7494,13 @@ export default function App() {
           {companies.map((company) => (
             <div
               key={company.id || company.name}
-              className="bg-white rounded-xl shadow-sm hover:shadow-lg transition-all duration-300 border border-gray-100 p-6"
+              onClick={() => openCompany(company)}
+              className="bg-white rounded-xl shadow-sm hover:shadow-lg transition-all duration-300 border border-gray-100 p-6 cursor-pointer"
             >
               <div className="text-center mb-4">
-                <div className="text-4xl mb-3">{company.logo}</div>
+                <div className="text-4xl mb-3">
+                  <CompanyLogo logo={company.logo} />
+                </div>
                 <h3 className="text-xl font-semibold text-gray-800">
                   {company.name}
                 </h3>
@@ -1405,24 +7525,40 @@ export default function App() {
                 <div className="flex justify-between items-center">
                   <span className="text-gray-600">Open roles</span>
                   <span className="font-medium">
-                    {companyJobCounts[company.name] || 0}
+                    {companyJobCounts[companyRouteKey(company)] || 0}
                   </span>
                 </div>
               </div>
 
               <div className="mt-6 space-y-2">
                 <button
-                  onClick={() => {
+                  onClick={(e) => {
+                    e.stopPropagation();
                     setActiveTab("jobs");
                     setSearchTerm(company.name);
                   }}
                   className="w-full bg-blue-50 text-blue-600 py-2 rounded-lg"
                 >
-                  View Jobs ({companyJobCounts[company.name] || 0})
+                  View Jobs ({companyJobCounts[companyRouteKey(company)] || 0})
                 </button>
-                <button className="w-full border border-gray-200 text-gray-600 py-2 rounded-lg hover:bg-gray-50">
+                <button
+                  onClick={(e) => e.stopPropagation()}
+                  className="w-full border border-gray-200 text-gray-600 py-2 rounded-lg hover:bg-gray-50"
+                >
                   Follow Company
                 </button>
+                {canEditCompany(company) && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setEditingCompany(company);
+                    }}
+                    className="w-full border border-blue-600 text-blue-600 py-2 rounded-lg flex items-center justify-center space-x-2"
+                  >
+                    <Edit3 className="w-4 h-4" />
+                    <span>Edit Profile</span>
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -1431,6 +7567,196 @@ export default function App() {
     );
   };
 
+  const openCompany = (company) => {
+    setCompanyKey(companyRouteKey(company));
+    setActiveTab("companies");
+  };
+
+  // Company profile page
+  const CompanyProfileView = () => {
+    const company = companyDetail;
+    if (!company) {
+      return (
+        <div className="text-center py-12">
+          <p className="text-gray-500 mb-4">Company not found</p>
+          <button
+            onClick={() => setCompanyKey(null)}
+            className="bg-blue-600 text-white px-6 py-2 rounded-lg"
+          >
+            All Companies
+          </button>
+        </div>
+      );
+    }
+    const openRoles = jobs.filter(
+      (j) => isCompanyJob(j, company) && isJobOpen(j)
+    );
+    return (
+      <div>
+        <button
+          onClick={() => setCompanyKey(null)}
+          className="text-blue-600 hover:text-blue-700 text-sm mb-4"
+        >
+          ← All companies
+        </button>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+          <div className="flex items-start space-x-4">
+            <div className="text-5xl">
+              <CompanyLogo logo={company.logo} />
+            </div>
+            <div className="flex-1">
+              <div className="flex items-center space-x-3 mb-2">
+                <h2 className="text-2xl font-bold text-gray-800">
+                  {company.name}
+                </h2>
+                {company.stage && (
+                  <span className="bg-green-100 text-green-700 px-2 py-1 rounded-full text-xs">
+                    {company.stage}
+                  </span>
+                )}
+              </div>
+              {company.description && (
+                <p className="text-gray-600">{company.description}</p>
+              )}
+            </div>
+            {canEditCompany(company) && (
+              <button
+                onClick={() => setEditingCompany(company)}
+                className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg flex items-center space-x-2"
+              >
+                <Edit3 className="w-4 h-4" />
+                <span>Edit Profile</span>
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6 pt-6 border-t border-gray-100">
+            <div>
+              <div className="text-sm text-gray-500">Founded</div>
+              <div className="font-medium">{company.founded || "—"}</div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-500">Team size</div>
+              <div className="font-medium">
+                {company.employees ? `${company.employees} people` : "—"}
+              </div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-500">Total funding</div>
+              <div className="font-medium text-green-600">
+                {company.funding || "—"}
+              </div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-500">Locations</div>
+              <div className="font-medium flex items-center space-x-1">
+                <MapPin className="w-4 h-4 text-gray-400" />
+                <span>{(company.locations || []).join(", ") || "—"}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <h3 className="text-xl font-semibold text-gray-800 mb-4">
+              Open Roles ({openRoles.length})
+            </h3>
+            {openRoles.length === 0 ? (
+              <div className="bg-white rounded-xl border border-gray-100 p-6 text-gray-500">
+                No open roles right now.
+              </div>
+            ) : (
+              <div className="space-y-6">
+                {openRoles.map((job) => (
+                  <JobCard key={job.id} job={job} />
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            {(company.techStack || []).length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h3 className="text-lg font-semibold mb-4">Tech Stack</h3>
+                <div className="flex flex-wrap gap-2">
+                  {company.techStack.map((tech) => (
+                    <span
+                      key={tech}
+                      className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm"
+                    >
+                      {tech}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {(company.benefits || []).length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h3 className="text-lg font-semibold mb-4">Benefits</h3>
+                <ul className="space-y-2">
+                  {company.benefits.map((b, idx) => (
+                    <li
+                      key={idx}
+                      className="flex items-center space-x-2 text-gray-600"
+                    >
+                      <Award className="w-4 h-4 text-green-500" />
+                      <span>{b}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {(company.fundingHistory || []).length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h3 className="text-lg font-semibold mb-4">Funding History</h3>
+                <ul className="space-y-4">
+                  {company.fundingHistory.map((round, idx) => (
+                    <li key={idx} className="flex space-x-3">
+                      <div className="w-2 h-2 bg-green-500 rounded-full mt-2" />
+                      <div>
+                        <div className="font-medium text-gray-800">
+                          {round.round} · {round.amount}
+                        </div>
+                        <div className="text-sm text-gray-500">
+                          {round.date}
+                          {(round.investors || []).length > 0 &&
+                            ` · ${round.investors.join(", ")}`}
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {(company.team || []).length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
+                  <Users className="w-5 h-5 text-blue-500" />
+                  <span>Team</span>
+                </h3>
+                <ul className="space-y-3">
+                  {company.team.map((member) => (
+                    <li key={member.name}>
+                      <div className="font-medium text-gray-800">
+                        {member.name}
+                      </div>
+                      <div className="text-sm text-gray-500">{member.role}</div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // Saved jobs view
   const SavedJobsView = () => {
     const savedList = jobs.filter((j) => savedJobs.includes(j.id));
@@ -1461,12 +7787,14 @@ export default function App() {
               >
                 <div className="flex items-start justify-between mb-4">
                   <div className="flex space-x-3">
-                    <div className="text-2xl">{job.logo || "ðŸš€"}</div>
+                    <div className="text-2xl">
+                      <CompanyLogo logo={jobCompany(job).logo} />
+                    </div>
                     <div>
                       <h3 className="font-semibold text-gray-800">
                         {job.title}
                       </h3>
-                      <p className="text-gray-600">{job.company}</p>
+                      <p className="text-gray-600">{jobCompany(job).name}</p>
                       <p className="text-sm text-gray-500">{job.location}</p>
                     </div>
                   </div>
@@ -1479,7 +7807,7 @@ export default function App() {
                 </div>
                 <div className="flex justify-between items-center">
                   <span className="text-green-600 font-medium">
-                    {job.salary}
+                    {formatSalary(job, salaryPeriod)}
                   </span>
                   <button
                     onClick={() => handleApply(job.id)}
@@ -1525,6 +7853,7 @@ export default function App() {
             {applications.map((app) => {
               const job = jobs.find((j) => j.id === app.jobId);
               if (!job) return null;
+              const booked = confirmedSlot(app.interview);
               return (
                 <div
                   key={app.id}
@@ -1532,7 +7861,9 @@ export default function App() {
                 >
                   <div className="flex items-start justify-between">
                     <div className="flex space-x-4 flex-1">
-                      <div className="text-3xl">{job.logo || "ðŸš€"}</div>
+                      <div className="text-3xl">
+                        <CompanyLogo logo={jobCompany(job).logo} />
+                      </div>
                       <div className="flex-1">
                         <div className="flex items-center space-x-3 mb-2">
                           <h3 className="text-xl font-semibold text-gray-800">
@@ -1540,21 +7871,15 @@ export default function App() {
                           </h3>
                           <span
                             className={`px-3 py-1 rounded-full text-xs font-medium ${
-                              app.status === "pending"
-                                ? "bg-yellow-100 text-yellow-700"
-                                : app.status === "reviewed"
-                                ? "bg-blue-100 text-blue-700"
-                                : app.status === "accepted"
-                                ? "bg-green-100 text-green-700"
-                                : "bg-red-100 text-red-700"
+                              APPLICATION_STATUS_STYLES[app.status] ||
+                              "bg-red-100 text-red-700"
                             }`}
                           >
-                            {app.status.charAt(0).toUpperCase() +
-                              app.status.slice(1)}
+                            {capitalize(app.status)}
                           </span>
                         </div>
                         <p className="text-lg text-gray-600 mb-2">
-                          {job.company}
+                          {jobCompany(job).name}
                         </p>
                         <div className="flex items-center space-x-4 text-sm text-gray-500">
                           <span className="flex items-center space-x-1">
@@ -1570,33 +7895,685 @@ export default function App() {
                             </span>
                           </span>
                         </div>
+                        {(app.history || []).length > 1 && (
+                          <p className="text-sm text-gray-500 mt-2">
+                            Updated to{" "}
+                            {app.history[app.history.length - 1].status}{" "}
+                            {prettyDateDiffDays(
+                              app.history[app.history.length - 1].changedAt
+                            )}
+                            d ago
+                          </p>
+                        )}
+                        {app.status === "interview" && app.interview && (
+                          <div className="mt-4 bg-purple-50 rounded-lg p-4">
+                            {booked ? (
+                              <div className="flex flex-wrap items-center justify-between gap-2">
+                                <div className="text-sm text-purple-800">
+                                  <div className="font-medium flex items-center space-x-2">
+                                    <Calendar className="w-4 h-4" />
+                                    <span>Interview booked</span>
+                                  </div>
+                                  <div>
+                                    {describeInterviewTime(
+                                      app.interview,
+                                      booked
+                                    )}
+                                  </div>
+                                  {app.interview.location && (
+                                    <div>{app.interview.location}</div>
+                                  )}
+                                </div>
+                                <button
+                                  onClick={() => downloadInterview(app)}
+                                  className="bg-white border border-purple-200 text-purple-700 px-3 py-2 rounded-lg text-sm hover:bg-purple-100"
+                                >
+                                  Add to calendar (.ics)
+                                </button>
+                              </div>
+                            ) : (
+                              <div>
+                                <p className="text-sm text-purple-800 mb-2">
+                                  {app.interview.proposedBy} proposed these
+                                  times ({app.interview.durationMinutes} min).
+                                  Pick the one that suits you:
+                                </p>
+                                <div className="flex flex-wrap gap-2">
+                                  {app.interview.slots.map((slot) => {
+                                    const range = slotRange(
+                                      app.interview,
+                                      slot
+                                    );
+                                    const conflict = findConflict(
+                                      range,
+                                      candidateInterviews,
+                                      app.id
+                                    );
+                                    const past = range.start < Date.now();
+                                    return (
+                                      <button
+                                        key={slot.id}
+                                        onClick={() =>
+                                          handleAcceptInterview(app, slot.id)
+                                        }
+                                        disabled={loading || past || !!conflict}
+                                        className="bg-white border border-purple-200 text-purple-700 px-3 py-2 rounded-lg text-sm text-left hover:bg-purple-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                                      >
+                                        {describeInterviewTime(
+                                          app.interview,
+                                          slot
+                                        )}
+                                        {(past || conflict) && (
+                                          <span className="block text-xs text-red-600">
+                                            {past
+                                              ? "This time has passed"
+                                              : `Overlaps ${conflict.label}`}
+                                          </span>
+                                        )}
+                                      </button>
+                                    );
+                                  })}
+                                </div>
+                                {app.interview.location && (
+                                  <p className="text-xs text-purple-700 mt-2">
+                                    Where: {app.interview.location}
+                                  </p>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() =>
+                          openMessages({
+                            applicationId: app.id,
+                            jobId: app.jobId,
+                          })
+                        }
+                        className="text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+                      >
+                        <MessageSquare className="w-4 h-4" />
+                        <span>Messages</span>
+                        {threadUnread(app.id) > 0 && (
+                          <span className="bg-red-500 text-white text-xs rounded-full px-2">
+                            {threadUnread(app.id)}
+                          </span>
+                        )}
+                      </button>
+                      <button
+                        onClick={() => setSelectedJob(job)}
+                        className="text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+                      >
+                        <Eye className="w-4 h-4" />
+                        <span>View Job</span>
+                      </button>
+                      <button className="text-gray-500 hover:text-gray-700">
+                        <Share2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Recruiter postings dashboard
+  const PostingsView = () => {
+    const allPostings = can(user, "postings:all");
+    const createDenied = deniedReason("postings:create");
+    const editDenied = deniedReason("postings:edit");
+    const statusDenied = deniedReason("postings:status");
+    return (
+      <div>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">
+              {allPostings ? "All Postings" : "My Postings"}
+            </h2>
+            <p className="text-gray-600">
+              {allPostings
+                ? "Every company's postings on the platform"
+                : "Create and manage the roles you're hiring for"}
+            </p>
+          </div>
+          <button
+            onClick={() => setEditingPosting({})}
+            disabled={!!createDenied}
+            title={createDenied || undefined}
+            className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-5 py-2 rounded-lg flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Post a Job</span>
+          </button>
+        </div>
+
+        {myPostings.length === 0 ? (
+          <div className="text-center py-12">
+            <Briefcase className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500 mb-4">No job postings yet</p>
+            {createDenied ? (
+              <p className="text-sm text-gray-500">
+                {createDenied} Ask your company admin to post one.
+              </p>
+            ) : (
+              <button
+                onClick={() => setEditingPosting({})}
+                className="bg-blue-600 text-white px-6 py-2 rounded-lg"
+              >
+                Post Your First Job
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {myPostings.map((job) => {
+              const status = job.status || "open";
+              return (
+                <div
+                  key={job.id}
+                  className="bg-white rounded-xl shadow-sm border border-gray-100 p-6"
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex space-x-4 flex-1">
+                      <div className="text-3xl">
+                        <CompanyLogo logo={jobCompany(job).logo} />
+                      </div>
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-3 mb-2">
+                          <h3 className="text-xl font-semibold text-gray-800">
+                            {job.title}
+                          </h3>
+                          <span
+                            className={`px-3 py-1 rounded-full text-xs font-medium ${JOB_STATUS_STYLES[status]}`}
+                          >
+                            {JOB_STATUS_LABELS[status]}
+                          </span>
+                        </div>
+                        <div className="flex items-center space-x-4 text-sm text-gray-500 mb-2">
+                          <span className="flex items-center space-x-1">
+                            <MapPin className="w-4 h-4" />
+                            <span>{job.location}</span>
+                          </span>
+                          <span className="flex items-center space-x-1">
+                            <Briefcase className="w-4 h-4" />
+                            <span>{job.type}</span>
+                          </span>
+                          <span className="flex items-center space-x-1">
+                            <Clock className="w-4 h-4" />
+                            <span>{jobPostedDays(job)}d ago</span>
+                          </span>
+                        </div>
+                        <div className="flex items-center space-x-4 text-sm">
+                          <span className="font-medium text-green-600">
+                            {formatSalary(job, salaryPeriod)}
+                          </span>
+                          {formatEquity(job) && (
+                            <span className="text-purple-600">
+                              + {formatEquity(job)} equity
+                            </span>
+                          )}
+                          <span className="text-gray-500">
+                            {job.applicants || 0} applicants
+                          </span>
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => openPipeline(job.id)}
+                        className="bg-blue-50 text-blue-600 px-3 py-2 rounded-lg hover:bg-blue-100 flex items-center space-x-1"
+                      >
+                        <Users className="w-4 h-4" />
+                        <span>Applicants</span>
+                      </button>
+                      <button
+                        onClick={() => setSelectedJob(job)}
+                        className="p-2 text-gray-500 hover:text-blue-600"
+                        title="Preview"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      {status !== "closed" && (
+                        <>
+                          <button
+                            onClick={() => setEditingPosting(job)}
+                            disabled={!!editDenied}
+                            className="p-2 text-gray-500 hover:text-blue-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title={editDenied || "Edit"}
+                          >
+                            <Edit3 className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() =>
+                              setPostingStatus(
+                                job,
+                                status === "paused" ? "open" : "paused"
+                              )
+                            }
+                            disabled={!!statusDenied}
+                            className="p-2 text-gray-500 hover:text-yellow-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title={
+                              statusDenied ||
+                              (status === "paused" ? "Resume" : "Pause")
+                            }
+                          >
+                            {status === "paused" ? (
+                              <Play className="w-4 h-4" />
+                            ) : (
+                              <Pause className="w-4 h-4" />
+                            )}
+                          </button>
+                          <button
+                            onClick={() => {
+                              if (
+                                window.confirm(
+                                  `Close "${job.title}"? It will no longer accept applications.`
+                                )
+                              ) {
+                                setPostingStatus(job, "closed");
+                              }
+                            }}
+                            disabled={!!statusDenied}
+                            className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                            title={statusDenied || "Close"}
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Kanban-style applicant pipeline for one posting
+  const PipelineView = () => {
+    const job = jobs.find((j) => j.id === pipelineJobId);
+    const reviewDenied = deniedReason("applicants:review");
+    const scheduleDenied = deniedReason("interviews:schedule");
+    return (
+      <div>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <button
+              onClick={() => setPipelineJobId(null)}
+              className="text-blue-600 hover:text-blue-700 text-sm mb-2"
+            >
+              ← Back to postings
+            </button>
+            <h2 className="text-2xl font-bold text-gray-800">
+              Applicants · {job?.title}
+            </h2>
+          </div>
+          <select
+            value={pipelineJobId}
+            onChange={(e) => openPipeline(e.target.value)}
+            className="bg-white border border-gray-300 rounded-lg px-4 py-2"
+          >
+            {myPostings.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.title}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          {APPLICATION_STATUSES.map((status) => {
+            const column = pipelineApps.filter((a) => a.status === status);
+            return (
+              <div key={status} className="bg-gray-50 rounded-xl p-3">
+                <div className="flex items-center justify-between mb-3">
+                  <span
+                    className={`px-3 py-1 rounded-full text-xs font-medium ${APPLICATION_STATUS_STYLES[status]}`}
+                  >
+                    {capitalize(status)}
+                  </span>
+                  <span className="text-sm text-gray-500">{column.length}</span>
+                </div>
+                <div className="space-y-3">
+                  {column.map((app) => (
+                    <div
+                      key={app.id}
+                      className="bg-white rounded-lg shadow-sm border border-gray-100 p-3"
+                    >
+                      <div className="font-medium text-gray-800">
+                        {app.applicant?.name || "Applicant"}
+                      </div>
+                      <div className="text-xs text-gray-500 mb-2">
+                        {app.applicant?.email} · applied{" "}
+                        {prettyDateDiffDays(app.appliedAt || Date.now())}d ago
+                      </div>
+                      {app.coverLetter && (
+                        <p className="text-sm text-gray-600 line-clamp-3 mb-2">
+                          {app.coverLetter}
+                        </p>
+                      )}
+                      <button
+                        onClick={() =>
+                          openMessages({
+                            applicationId: app.id,
+                            jobId: app.jobId,
+                            applicantName: app.applicant?.name,
+                          })
+                        }
+                        className="text-xs text-blue-600 hover:text-blue-700 flex items-center space-x-1 mb-2"
+                      >
+                        <MessageSquare className="w-3 h-3" />
+                        <span>Messages</span>
+                        {threadUnread(app.id) > 0 && (
+                          <span className="bg-red-500 text-white rounded-full px-1.5">
+                            {threadUnread(app.id)}
+                          </span>
+                        )}
+                      </button>
+                      <div className="flex flex-wrap gap-1 mb-2">
+                        {APPLICATION_TRANSITIONS[app.status].map((next) => (
+                          <button
+                            key={next}
+                            onClick={() => changeApplicationStatus(app, next)}
+                            disabled={!!reviewDenied}
+                            title={reviewDenied || undefined}
+                            className={`text-xs px-2 py-1 rounded-lg disabled:opacity-40 disabled:cursor-not-allowed ${
+                              next === "rejected"
+                                ? "bg-red-50 text-red-600 hover:bg-red-100"
+                                : "bg-blue-50 text-blue-600 hover:bg-blue-100"
+                            }`}
+                          >
+                            {next === "rejected"
+                              ? "Reject"
+                              : `→ ${capitalize(next)}`}
+                          </button>
+                        ))}
                       </div>
+                      {app.status === "interview" && (
+                        <div className="text-xs bg-purple-50 rounded-lg p-2 mb-2 space-y-1">
+                          {confirmedSlot(app.interview) ? (
+                            <>
+                              <div className="text-purple-700 font-medium">
+                                Booked:{" "}
+                                {describeInterviewTime(
+                                  app.interview,
+                                  confirmedSlot(app.interview)
+                                )}
+                              </div>
+                              <button
+                                onClick={() => downloadInterview(app)}
+                                className="text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+                              >
+                                <Calendar className="w-3 h-3" />
+                                <span>Add to calendar (.ics)</span>
+                              </button>
+                            </>
+                          ) : (
+                            app.interview && (
+                              <div className="text-gray-600">
+                                {app.interview.slots.length} time
+                                {app.interview.slots.length === 1
+                                  ? ""
+                                  : "s"}{" "}
+                                proposed · waiting for the candidate
+                              </div>
+                            )
+                          )}
+                          <button
+                            onClick={() => openInterviewScheduler(app)}
+                            disabled={loading || !!scheduleDenied}
+                            title={scheduleDenied || undefined}
+                            className="text-blue-600 hover:text-blue-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                          >
+                            {app.interview ? "Change times" : "Propose times"}
+                          </button>
+                        </div>
+                      )}
+                      {(app.history || []).length > 0 && (
+                        <details className="text-xs text-gray-500">
+                          <summary className="cursor-pointer">History</summary>
+                          <ul className="mt-1 space-y-1">
+                            {app.history.map((h, idx) => (
+                              <li key={idx}>
+                                {capitalize(h.status)} by {h.changedBy} ·{" "}
+                                {new Date(h.changedAt).toLocaleString()}
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
                     </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
 
-                    <div className="flex items-center space-x-2">
+  // Startup team: members and their roles, pending invites, or a way in
+  // for accounts that aren't on a team yet
+  const TeamView = () => {
+    if (!organization) {
+      return (
+        <div className="max-w-xl">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">Your Team</h2>
+          <p className="text-gray-600 mb-6">
+            You're not on a startup team yet. Postings and applicants are shared
+            by everyone on the team.
+          </p>
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+            <JoinOrganizationForm
+              companyName={user?.profile?.company}
+              disabled={loading}
+              onJoin={handleJoinOrganization}
+              onCreate={handleCreateOrganization}
+            />
+          </div>
+        </div>
+      );
+    }
+    const manage = can(user, "team:manage");
+    const company = ownCompany;
+    const lastOwner = (member) =>
+      member.role === "owner" && ownerCount(organization) === 1;
+    return (
+      <div>
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">
+              {organization.name} Team
+            </h2>
+            <p className="text-gray-600">
+              {organization.members.length} member
+              {organization.members.length === 1 ? "" : "s"} · your role:{" "}
+              {ORG_ROLE_LABELS[user.role] || "Member"}
+            </p>
+          </div>
+          <div className="flex items-center space-x-4">
+            {can(user, "company:edit") && (
+              <button
+                onClick={() => setEditingCompany(company || {})}
+                disabled={loading}
+                className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg flex items-center space-x-2 disabled:opacity-50"
+              >
+                <Edit3 className="w-4 h-4" />
+                <span>
+                  {company ? "Edit company profile" : "Create company profile"}
+                </span>
+              </button>
+            )}
+            {company && (
+              <button
+                onClick={() => openCompany(company)}
+                className="text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+              >
+                <span>Company page</span>
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-4">Members</h3>
+          <ul className="divide-y divide-gray-100">
+            {organization.members.map((member) => (
+              <li
+                key={member.email}
+                className="py-3 flex items-center justify-between gap-4"
+              >
+                <div>
+                  <div className="font-medium text-gray-900">
+                    {member.name}
+                    {member.email === user.email && (
+                      <span className="text-gray-500 font-normal"> (you)</span>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {member.email} · joined{" "}
+                    {new Date(member.joinedAt).toLocaleDateString()}
+                  </div>
+                </div>
+                {manage ? (
+                  <div className="flex items-center space-x-3">
+                    <select
+                      value={member.role}
+                      disabled={loading || lastOwner(member)}
+                      title={
+                        lastOwner(member)
+                          ? "A team needs at least one owner"
+                          : undefined
+                      }
+                      onChange={(e) => handleMemberRole(member, e.target.value)}
+                      className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(ORG_ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    {member.email !== user.email && !lastOwner(member) && (
                       <button
-                        onClick={() => setSelectedJob(job)}
-                        className="text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+                        onClick={() => handleRemoveMember(member)}
+                        className="text-sm text-gray-500 hover:text-red-600"
                       >
-                        <Eye className="w-4 h-4" />
-                        <span>View Job</span>
-                      </button>
-                      <button className="text-gray-500 hover:text-gray-700">
-                        <Share2 className="w-4 h-4" />
+                        Remove
                       </button>
-                    </div>
+                    )}
                   </div>
-                </div>
-              );
-            })}
-          </div>
-        )}
+                ) : (
+                  <span className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                    {ORG_ROLE_LABELS[member.role]}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+          <h3 className="text-lg font-semibold mb-1">Invites</h3>
+          {manage ? (
+            <>
+              <p className="text-sm text-gray-500 mb-4">
+                Each invite is a code for one email address, valid for{" "}
+                {INVITE_TTL_MS / (24 * 60 * 60 * 1000)} days. Recruiters manage
+                postings and applicants; interviewers can only view them.
+              </p>
+              <TeamInviteForm disabled={loading} onInvite={handleInvite} />
+              {organization.invites.length > 0 && (
+                <ul className="mt-4 divide-y divide-gray-100">
+                  {organization.invites.map((invite) => (
+                    <li
+                      key={invite.code}
+                      className="py-3 flex items-center justify-between gap-4"
+                    >
+                      <div>
+                        <div className="text-gray-900">
+                          {invite.email} ·{" "}
+                          {ORG_ROLE_LABELS[invite.role].toLowerCase()}
+                        </div>
+                        <div className="text-sm text-gray-500">
+                          <span className="font-mono">{invite.code}</span> ·{" "}
+                          {isInviteExpired(invite)
+                            ? "expired"
+                            : `expires ${new Date(
+                                invite.expiresAt
+                              ).toLocaleDateString()}`}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-3 text-sm">
+                        <a
+                          href={inviteMailto(organization, invite)}
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          Email invite
+                        </a>
+                        <button
+                          onClick={() =>
+                            navigator.clipboard
+                              ?.writeText(invite.code)
+                              .then(() =>
+                                showToast("Invite code copied.", "info")
+                              )
+                          }
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          Copy code
+                        </button>
+                        <button
+                          onClick={() => handleRevokeInvite(invite)}
+                          className="text-gray-500 hover:text-red-600"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">
+              {deniedMessage(user, "team:manage")} Ask an owner to invite
+              colleagues.
+            </p>
+          )}
+        </div>
       </div>
     );
   };
 
   // Profile view (with controlled inputs) - student fields editable
   const ProfileView = () => {
+    const prefs = profileEdit.preferences;
+    const setPreferences = (changes) =>
+      setProfileEdit({
+        ...profileEdit,
+        preferences: { ...prefs, ...changes },
+      });
+    const togglePreference = (field, value) =>
+      setPreferences({
+        [field]: prefs[field].includes(value)
+          ? prefs[field].filter((v) => v !== value)
+          : [...prefs[field], value],
+      });
     return (
       <div className="max-w-4xl">
         <div className="mb-6">
@@ -1641,6 +8618,19 @@ export default function App() {
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Phone
+                  </label>
+                  <input
+                    type="tel"
+                    value={profileEdit.phone}
+                    onChange={(e) =>
+                      setProfileEdit({ ...profileEdit, phone: e.target.value })
+                    }
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
 
                 {user?.type === "student" && (
                   <>
@@ -1758,28 +8748,12 @@ export default function App() {
             {user?.type === "student" && (
               <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
                 <h3 className="text-lg font-semibold mb-4">Resume / CV</h3>
-                <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
-                  <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                  <p className="text-gray-600 mb-2">Upload your resume or CV</p>
-                  <p className="text-sm text-gray-500 mb-4">
-                    PDF, DOC, or DOCX up to 5MB
-                  </p>
-                  <input
-                    id="resume-input"
-                    type="file"
-                    accept=".pdf,.doc,.docx"
-                    onChange={handleResumeFileChange}
-                    className="hidden"
-                  />
-                  <button
-                    onClick={() =>
-                      document.getElementById("resume-input").click()
-                    }
-                    className="bg-blue-600 text-white px-6 py-2 rounded-lg"
-                  >
-                    Choose File
-                  </button>
-                </div>
+                <ResumeManager
+                  resumes={userResumes(user)}
+                  progress={resumeUploadProgress}
+                  onUpload={handleResumeUpload}
+                  onDelete={handleDeleteResume}
+                />
                 {resumeUploadMessage && (
                   <div className="mt-4 p-3 bg-green-50 rounded-lg flex items-center justify-between">
                     <span className="text-green-700">
@@ -1790,12 +8764,6 @@ export default function App() {
                     </button>
                   </div>
                 )}
-                {user?.resume && (
-                  <div className="mt-4 text-sm text-gray-600">
-                    Current: {user.resume.filename} (uploaded{" "}
-                    {new Date(user.resume.uploadedAt).toLocaleDateString()})
-                  </div>
-                )}
               </div>
             )}
           </div>
@@ -1819,21 +8787,80 @@ export default function App() {
               </div>
             </div>
 
-            <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
-              <h3 className="text-lg font-semibold mb-4">Job Preferences</h3>
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Preferred Location
-                  </label>
-                  <select className="w-full px-4 py-2 border border-gray-300 rounded-lg">
-                    <option>Zurich</option>
-                    <option>Remote</option>
-                    <option>Lausanne</option>
-                  </select>
+            {user?.type !== "startup" && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h3 className="text-lg font-semibold mb-4">Job Preferences</h3>
+                <div className="space-y-4">
+                  {PREFERENCE_FIELDS.map(({ field, label }) => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {label}
+                      </label>
+                      <div className="flex flex-wrap gap-2">
+                        {preferenceOptions[field].map((value) => {
+                          const selected = prefs[field].includes(value);
+                          return (
+                            <button
+                              key={value}
+                              onClick={() => togglePreference(field, value)}
+                              aria-pressed={selected}
+                              className={`px-3 py-1 rounded-full text-sm border ${
+                                selected
+                                  ? "bg-blue-600 text-white border-blue-600"
+                                  : "bg-white text-gray-600 border-gray-300 hover:border-blue-400"
+                              }`}
+                            >
+                              {value}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Remote Work
+                    </label>
+                    <select
+                      value={prefs.remote}
+                      onChange={(e) =>
+                        setPreferences({ remote: e.target.value })
+                      }
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    >
+                      {Object.entries(REMOTE_OPTIONS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <SalaryRangeFilter
+                    value={prefs.minSalary}
+                    onCommit={(minSalary) => setPreferences({ minSalary })}
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Available From
+                    </label>
+                    <input
+                      type="date"
+                      value={prefs.startDate}
+                      onChange={(e) =>
+                        setPreferences({ startDate: e.target.value })
+                      }
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                  <button
+                    onClick={handleProfileSave}
+                    className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg"
+                  >
+                    Save Preferences
+                  </button>
                 </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
       </div>
@@ -1871,9 +8898,9 @@ export default function App() {
                 >
                   <Filter className="w-5 h-5" />
                   <span>Filters</span>
-                  {selectedFilters.length > 0 && (
+                  {activeFilterCount > 0 && (
                     <span className="bg-blue-500 text-white text-xs px-2 py-1 rounded-full">
-                      {selectedFilters.length}
+                      {activeFilterCount}
                     </span>
                   )}
                 </button>
@@ -1891,6 +8918,8 @@ export default function App() {
     );
   };
 
+  const activeFilterCount = selectedFilters.length + (minSalary > 0 ? 1 : 0);
+
   // Filters panel
   const FiltersPanel = () => {
     if (!showFilters) return null;
@@ -1899,23 +8928,44 @@ export default function App() {
         <div className="max-w-7xl mx-auto">
           <div className="flex items-center justify-between mb-4">
             <h3 className="font-medium text-gray-800">Filters</h3>
-            <button
-              onClick={() => setShowFilters(false)}
-              className="text-gray-500 hover:text-gray-700"
-            >
-              <X className="w-5 h-5" />
-            </button>
+            <div className="flex items-center space-x-4">
+              {user?.profile?.preferences && user.type !== "startup" && (
+                <button
+                  onClick={() => applyPreferences(user.profile.preferences)}
+                  className="text-sm text-blue-600 hover:text-blue-700"
+                >
+                  Use my preferences
+                </button>
+              )}
+              <button
+                onClick={() => setShowFilters(false)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
           </div>
 
-          {selectedFilters.length > 0 && (
+          {activeFilterCount > 0 && (
             <div className="mb-4">
               <div className="flex flex-wrap gap-2">
+                {minSalary > 0 && (
+                  <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm flex items-center space-x-1">
+                    <span>≥ CHF {formatAmount(minSalary)} / year</span>
+                    <button
+                      onClick={() => setMinSalary(0)}
+                      className="text-blue-500 hover:text-blue-700"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                )}
                 {selectedFilters.map((filter) => (
                   <span
                     key={filter}
                     className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm flex items-center space-x-1"
                   >
-                    <span>{filter}</span>
+                    <span>{filterLabel(filter)}</span>
                     <button
                       onClick={() => removeFilter(filter)}
                       className="text-blue-500 hover:text-blue-700"
@@ -1935,19 +8985,38 @@ export default function App() {
                   {group.category}
                 </h4>
                 <div className="space-y-1">
-                  {group.options.map((opt) => (
-                    <button
-                      key={opt}
-                      onClick={() => addFilter(opt)}
-                      className="block w-full text-left px-3 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg"
-                    >
-                      {opt}
-                    </button>
-                  ))}
+                  {group.options.map(({ value, count }) => {
+                    const key = filterKey(group.category, value);
+                    const selected = selectedFilters.includes(key);
+                    return (
+                      <button
+                        key={value}
+                        onClick={() => toggleFilter(key)}
+                        aria-pressed={selected}
+                        className={`flex w-full items-center justify-between px-3 py-2 text-sm rounded-lg ${
+                          selected
+                            ? "bg-blue-50 text-blue-700 font-medium"
+                            : "text-gray-600 hover:bg-gray-100"
+                        }`}
+                      >
+                        <span>{value}</span>
+                        <span className="text-xs text-gray-400">{count}</span>
+                      </button>
+                    );
+                  })}
+                  {group.options.length === 0 && (
+                    <p className="px-3 py-2 text-sm text-gray-400">
+                      No options
+                    </p>
+                  )}
                 </div>
               </div>
             ))}
           </div>
+
+          <div className="mt-6 max-w-md">
+            <SalaryRangeFilter value={minSalary} onCommit={setMinSalary} />
+          </div>
         </div>
       </div>
     );
@@ -1960,6 +9029,15 @@ export default function App() {
       <Hero />
       <FiltersPanel />
       <LoginModal open={showLoginModal} />
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
+      {resumeDetails && (
+        <ResumeReview
+          details={resumeDetails}
+          current={profileEdit}
+          onAccept={acceptResumeDetails}
+          onClose={() => setResumeDetails(null)}
+        />
+      )}
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {loading && (
@@ -1973,22 +9051,100 @@ export default function App() {
         {activeTab === "jobs" && (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             <div className="lg:col-span-2">
+              {recommendedJobs.length > 0 &&
+                !searchTerm.trim() &&
+                activeFilterCount === 0 && (
+                  <div className="mb-8">
+                    <h2 className="text-xl font-bold text-gray-800 mb-4 flex items-center space-x-2">
+                      <Star className="w-5 h-5 text-yellow-500" />
+                      <span>Recommended for you</span>
+                    </h2>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {recommendedJobs.map((job) => {
+                        const match = jobMatches.get(job.id);
+                        return (
+                          <button
+                            key={job.id}
+                            onClick={() => setSelectedJob(job)}
+                            className="bg-white rounded-xl shadow-sm hover:shadow-md transition border border-gray-100 p-4 text-left"
+                          >
+                            <div className="flex items-center justify-between mb-2">
+                              <span className="text-2xl">
+                                <CompanyLogo logo={jobCompany(job).logo} />
+                              </span>
+                              <span
+                                className={`text-xs px-2 py-1 rounded-full ${matchStyle(
+                                  match.score
+                                )}`}
+                              >
+                                {match.score}% match
+                              </span>
+                            </div>
+                            <div className="font-semibold text-gray-800">
+                              {job.title}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              {jobCompany(job).name} · {job.location}
+                            </div>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-2xl font-bold text-gray-800">
-                  {filteredJobs.length} Jobs Found
+                  {jobsFound} Jobs Found
                 </h2>
-                <select className="bg-white border border-gray-300 rounded-lg px-4 py-2">
-                  <option>Most Recent</option>
-                  <option>Highest Salary</option>
-                  <option>Most Equity</option>
-                </select>
+                <div className="flex items-center space-x-3">
+                  <div className="flex bg-white border border-gray-300 rounded-lg overflow-hidden text-sm">
+                    {["year", "month"].map((period) => (
+                      <button
+                        key={period}
+                        onClick={() => setSalaryPeriod(period)}
+                        className={`px-3 py-2 ${
+                          salaryPeriod === period
+                            ? "bg-blue-600 text-white"
+                            : "text-gray-600 hover:bg-gray-50"
+                        }`}
+                      >
+                        {period === "year" ? "Yearly" : "Monthly"}
+                      </button>
+                    ))}
+                  </div>
+                  <select
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value)}
+                    className="bg-white border border-gray-300 rounded-lg px-4 py-2"
+                  >
+                    {Object.entries(JOB_SORTS).map(([value, { label }]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
               </div>
 
               <div className="space-y-6">
-                {filteredJobs.map((job) => (
+                {sortedJobs.map((job) => (
                   <JobCard key={job.id} job={job} />
                 ))}
-                {filteredJobs.length === 0 && !loading && (
+                {jobFeed.nextCursor && (
+                  <div className="text-center">
+                    <button
+                      onClick={loadMoreJobs}
+                      disabled={loadingMoreJobs}
+                      className="bg-white border border-gray-300 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {loadingMoreJobs
+                        ? "Loading..."
+                        : `Load more (${jobsFound - sortedJobs.length} more)`}
+                    </button>
+                  </div>
+                )}
+                {sortedJobs.length === 0 && !loading && (
                   <div className="text-center py-12">
                     <Briefcase className="w-16 h-16 text-gray-300 mx-auto mb-4" />
                     <p className="text-gray-500 mb-4">
@@ -2007,6 +9163,82 @@ export default function App() {
 
             {/* Sidebar */}
             <div className="space-y-6">
+              {isLoggedIn && (
+                <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
+                  <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
+                    <Search className="w-5 h-5 text-blue-500" />
+                    <span>Saved Searches</span>
+                  </h3>
+                  {savedSearches.length === 0 ? (
+                    <p className="text-sm text-gray-500 mb-4">
+                      Save a search to get notified about new matching jobs.
+                    </p>
+                  ) : (
+                    <div className="space-y-2 mb-4">
+                      {savedSearches.map((search) => {
+                        const unseen = unseenSavedSearchMatches(
+                          search,
+                          jobs
+                        ).length;
+                        return (
+                          <div
+                            key={search.id}
+                            className="flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 transition-colors"
+                          >
+                            <button
+                              onClick={() => applySavedSearch(search)}
+                              className="flex-1 text-left"
+                            >
+                              <div className="font-medium text-gray-800">
+                                {search.name}
+                              </div>
+                              <div className="text-xs text-gray-500">
+                                {[
+                                  search.term && `"${search.term}"`,
+                                  ...(search.filters || []).map(filterLabel),
+                                  search.minSalary > 0 &&
+                                    `≥ CHF ${formatAmount(search.minSalary)}`,
+                                ]
+                                  .filter(Boolean)
+                                  .join(" · ") || "All jobs"}
+                              </div>
+                            </button>
+                            {unseen > 0 && (
+                              <span className="bg-blue-500 text-white text-xs px-2 py-1 rounded-full mr-2">
+                                {unseen} new
+                              </span>
+                            )}
+                            <button
+                              onClick={() => removeSavedSearch(search.id)}
+                              className="text-gray-400 hover:text-red-500"
+                              aria-label={`Delete ${search.name}`}
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                  {(searchTerm.trim() || activeFilterCount > 0) && (
+                    <form onSubmit={handleSaveSearch} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={newSearchName}
+                        onChange={(e) => setNewSearchName(e.target.value)}
+                        placeholder="Name this search..."
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <button
+                        type="submit"
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm"
+                      >
+                        Save
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
               <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
                 <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
                   <Star className="w-5 h-5 text-yellow-500" />
@@ -2016,9 +9248,12 @@ export default function App() {
                   {companies.slice(0, 3).map((company) => (
                     <div
                       key={company.id || company.name}
+                      onClick={() => openCompany(company)}
                       className="flex items-center space-x-3 p-3 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer"
                     >
-                      <div className="text-2xl">{company.logo}</div>
+                      <div className="text-2xl">
+                        <CompanyLogo logo={company.logo} />
+                      </div>
                       <div className="flex-1">
                         <div className="font-medium text-gray-800">
                           {company.name}
@@ -2031,7 +9266,7 @@ export default function App() {
                         </div>
                       </div>
                       <div className="text-sm text-gray-500">
-                        {companyJobCounts[company.name] || 0} jobs
+                        {companyJobCounts[companyRouteKey(company)] || 0} jobs
                       </div>
                     </div>
                   ))}
@@ -2079,23 +9314,186 @@ export default function App() {
         {/* Job detail modal */}
         <JobDetailModal
           job={selectedJob}
-          onClose={() => setSelectedJob(null)}
+          onClose={() => {
+            setSelectedJob(null);
+            setApplyingJobId(null);
+          }}
         />
 
+        {/* Application form */}
+        {selectedJob &&
+          applyingJobId === selectedJob.id &&
+          !hasApplied(selectedJob.id) &&
+          !deniedReason("jobs:apply") && (
+            <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+              <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+                <div className="flex items-center justify-between mb-6">
+                  <h2 className="text-2xl font-bold text-gray-800">
+                    Apply for {selectedJob.title}
+                  </h2>
+                  <button
+                    onClick={() => setApplyingJobId(null)}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+                <ApplicationForm
+                  key={selectedJob.id}
+                  job={selectedJob}
+                  user={user}
+                  submitting={loading}
+                  onSubmit={(application) =>
+                    handleApply(selectedJob.id, application)
+                  }
+                  onCancel={() => setApplyingJobId(null)}
+                />
+              </div>
+            </div>
+          )}
+
         {/* Companies */}
-        {activeTab === "companies" && <CompaniesGrid />}
+        {activeTab === "companies" &&
+          (companyKey ? <CompanyProfileView /> : <CompaniesGrid />)}
+
+        {/* Tabs the role may not open (e.g. from a link) */}
+        {tabDenied && <NotPermittedView permission={activeTabPermission} />}
 
         {/* Saved */}
-        {activeTab === "saved" && <SavedJobsView />}
+        {activeTab === "saved" && !tabDenied && <SavedJobsView />}
 
         {/* Applications */}
-        {activeTab === "applications" && isLoggedIn && <ApplicationsView />}
+        {activeTab === "applications" && isLoggedIn && !tabDenied && (
+          <ApplicationsView />
+        )}
 
         {/* Profile */}
         {activeTab === "profile" && isLoggedIn && <ProfileView />}
 
+        {/* Startup team */}
+        {activeTab === "team" && isLoggedIn && !tabDenied && <TeamView />}
+
+        {/* Recruiter postings */}
+        {activeTab === "postings" &&
+          isLoggedIn &&
+          !tabDenied &&
+          (pipelineJobId ? <PipelineView /> : <PostingsView />)}
+
+        {/* Message thread */}
+        {openThread && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-gray-800">
+                  {threadTitle(openThread)}
+                </h2>
+                <button
+                  onClick={() => setOpenThread(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
+              <MessageThread
+                key={openThread.applicationId}
+                messages={threadMessages(openThread.applicationId)}
+                currentEmail={user?.email}
+                sending={loading}
+                onSend={handleSendMessage}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Interview scheduler */}
+        {schedulingApp && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-800">
+                  Interview times for{" "}
+                  {schedulingApp.applicant?.name || "the candidate"}
+                </h2>
+                <button
+                  onClick={() => setSchedulingApp(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
+              <InterviewProposalForm
+                key={schedulingApp.id}
+                app={schedulingApp}
+                booked={teamInterviews}
+                saving={loading}
+                onSubmit={handleProposeInterview}
+                onCancel={() => setSchedulingApp(null)}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Company editor */}
+        {editingCompany && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-800">
+                  {editingCompany.name
+                    ? "Edit Company Profile"
+                    : "Create Company Profile"}
+                </h2>
+                <button
+                  onClick={() => setEditingCompany(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
+              <CompanyProfileForm
+                key={
+                  editingCompany.name ? companyRouteKey(editingCompany) : "new"
+                }
+                initial={editingCompany}
+                saving={loading}
+                onSubmit={handleSaveCompany}
+                onCancel={() => setEditingCompany(null)}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Posting editor */}
+        {editingPosting && (
+          <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-800">
+                  {editingPosting.id ? "Edit Job Posting" : "Post a New Job"}
+                </h2>
+                <button
+                  onClick={() => setEditingPosting(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-6 h-6" />
+                </button>
+              </div>
+              <JobPostingForm
+                key={editingPosting.id || "new"}
+                initial={editingPosting}
+                saving={loading}
+                onSubmit={handleSavePosting}
+                onCancel={() => setEditingPosting(null)}
+              />
+            </div>
+          </div>
+        )}
+
         {/* Prompt if not logged in and user tries to access sensitive tabs */}
-        {(activeTab === "applications" || activeTab === "profile") &&
+        {(activeTab === "applications" ||
+          activeTab === "profile" ||
+          activeTab === "postings" ||
+          activeTab === "team") &&
           !isLoggedIn && (
             <div className="text-center py-12">
               <p className="text-gray-500 mb-4">
@@ -2113,3 +9511,32 @@ export default function App() {
     </div>
   );
 }
+
+// Helpers exported for the unit tests in App.test.js.
+export {
+  pdfText,
+  docxText,
+  sortJobs,
+  parseCompensation,
+  formatSalary,
+  formatEquity,
+  ApiError,
+  canFallBackLocally,
+  syncRetryDelay,
+  enqueueMutation,
+  parseSearchQuery,
+  jobSearchScore,
+  jobMatchesSearch,
+  buildFilterFacets,
+  computeJobMatch,
+  decodeJwt,
+  isTokenExpired,
+  can,
+  deniedMessage,
+  generateInviteCode,
+  normalizeInviteCode,
+  isInviteExpired,
+  acceptLocalInvite,
+  buildInterviewIcs,
+  mergeMessages,
+};
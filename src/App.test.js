@@ -0,0 +1,649 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import App, {
+  pdfText,
+  docxText,
+  sortJobs,
+  parseCompensation,
+  formatSalary,
+  formatEquity,
+  ApiError,
+  canFallBackLocally,
+  syncRetryDelay,
+  enqueueMutation,
+  parseSearchQuery,
+  jobSearchScore,
+  jobMatchesSearch,
+  buildFilterFacets,
+  computeJobMatch,
+  decodeJwt,
+  isTokenExpired,
+  can,
+  deniedMessage,
+  generateInviteCode,
+  normalizeInviteCode,
+  isInviteExpired,
+  acceptLocalInvite,
+  buildInterviewIcs,
+  mergeMessages,
+} from "./App";
+
+// jsdom leaves these out; browsers have them
+global.TextDecoder = global.TextDecoder || require("util").TextDecoder;
+global.TextEncoder = global.TextEncoder || require("util").TextEncoder;
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+describe("pdfText", () => {
+  const pdf = (dict, content) =>
+    bytesOf(
+      `%PDF-1.4\n4 0 obj\n<< ${dict} >>\nstream\n${content}\nendstream\nendobj\n`
+    );
+
+  it("reads text from a stream with a direct /Length", () => {
+    const content = "BT (Jane Doe) Tj ET";
+    return expect(
+      pdfText(pdf(`/Length ${content.length}`, content))
+    ).resolves.toContain("Jane Doe");
+  });
+
+  it("scans to endstream when /Length is an indirect reference", async () => {
+    const content = "BT (Jane Doe) Tj T* (jane@example.com) Tj ET";
+    const text = await pdfText(pdf("/Length 12 0 R", content));
+    expect(text).toContain("Jane Doe");
+    expect(text).toContain("jane@example.com");
+  });
+
+  it("skips streams in encodings it can't read", () =>
+    expect(
+      pdfText(pdf("/Length 5 /Filter /DCTDecode", "BT (x) Tj ET"))
+    ).resolves.not.toContain("x"));
+});
+
+describe("docxText", () => {
+  // A ZIP with one stored (uncompressed) entry.
+  const zip = (name, content) => {
+    const nameBytes = bytesOf(name);
+    const data = bytesOf(content);
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    central.set(nameBytes, 46);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, 1, true);
+    ev.setUint16(10, 1, true);
+    ev.setUint32(12, central.length, true);
+    ev.setUint32(16, local.length, true);
+    const out = new Uint8Array(local.length + central.length + end.length);
+    out.set(local, 0);
+    out.set(central, local.length);
+    out.set(end, local.length + central.length);
+    return out;
+  };
+
+  it("turns paragraphs into lines and decodes entities", async () => {
+    const xml =
+      "<w:document><w:body><w:p><w:r><w:t>Jane Doe</w:t></w:r></w:p>" +
+      "<w:p><w:r><w:t>R&amp;D at ETH</w:t></w:r></w:p></w:body></w:document>";
+    const text = await docxText(zip("word/document.xml", xml));
+    expect(text.split("\n")).toEqual(["Jane Doe", "R&D at ETH", ""]);
+  });
+
+  it("returns nothing without word/document.xml", () =>
+    expect(docxText(zip("other.xml", "<x/>"))).resolves.toBe(""));
+});
+
+describe("sortJobs", () => {
+  const jobs = [
+    { id: "a", salary: "CHF 80k-90k", equity: "0.5%", postedDays: 5 },
+    { id: "b", salary: "CHF 9k/month", postedDays: 1 },
+    { id: "c", equity: "1%", postedDays: 3 },
+    { id: "d", salary: "CHF 80k-90k", equity: "0.1%", postedDays: 2 },
+  ];
+  const ids = (list) => list.map((j) => j.id);
+
+  it("sorts by annual salary, missing last, ties by recency", () =>
+    expect(ids(sortJobs(jobs, "salary"))).toEqual(["b", "d", "a", "c"]));
+
+  it("sorts by equity percent", () =>
+    expect(ids(sortJobs(jobs, "equity"))).toEqual(["c", "a", "d", "b"]));
+
+  it("sorts by relevance, then recency", () => {
+    const relevance = { a: 2, c: 2 };
+    expect(ids(sortJobs(jobs, "relevance", (j) => relevance[j.id]))).toEqual([
+      "c",
+      "a",
+      "b",
+      "d",
+    ]);
+  });
+
+  it("leaves the list alone for an unknown sort", () =>
+    expect(sortJobs(jobs, "nope")).toBe(jobs));
+});
+
+describe("parseCompensation", () => {
+  it("reads a yearly range with a trailing k", () =>
+    expect(parseCompensation({ salary: "CHF 95-110k" })).toMatchObject({
+      currency: "CHF",
+      min: 95000,
+      max: 110000,
+      period: "year",
+      annualChf: { min: 95000, max: 110000 },
+    }));
+
+  it("annualizes monthly stipends and converts currencies", () => {
+    expect(parseCompensation({ salary: "CHF 2k/month" })).toMatchObject({
+      period: "month",
+      annualChf: { min: 24000, max: 24000 },
+    });
+    expect(parseCompensation({ salary: "€50,000" })).toMatchObject({
+      currency: "EUR",
+      min: 50000,
+      annualChf: { min: 47000, max: 47000 },
+    });
+  });
+
+  it("parses equity and vesting", () =>
+    expect(
+      parseCompensation({ equity: "0.25%", vesting: "4 years, 1-year cliff" })
+        .equity
+    ).toEqual({ percent: 0.25, vesting: { years: 4, cliffMonths: 12 } }));
+
+  it("returns nulls when there's nothing to parse", () =>
+    expect(parseCompensation({ salary: "Competitive" })).toMatchObject({
+      min: null,
+      annualChf: null,
+      equity: { percent: null, vesting: null },
+    }));
+
+  it("uses a structured compensation as-is", () => {
+    const compensation = {
+      currency: "USD",
+      min: 100,
+      max: 120,
+      period: "hour",
+      equity: { percent: 1, vesting: null },
+    };
+    expect(parseCompensation({ salary: "x", compensation })).toMatchObject({
+      currency: "USD",
+      period: "hour",
+      equity: compensation.equity,
+    });
+  });
+});
+
+describe("formatSalary / formatEquity", () => {
+  it("converts to the display period", () => {
+    expect(formatSalary({ salary: "CHF 96k-120k" }, "month")).toBe(
+      "CHF 8k-10k / month"
+    );
+    expect(formatSalary({ salary: "Competitive" }, "year")).toBe("Competitive");
+  });
+
+  it("shows equity only when the job lists it", () => {
+    expect(formatEquity({ equity: "0.2%" })).toBe("0.2%");
+    expect(formatEquity({})).toBe("");
+  });
+});
+
+describe("canFallBackLocally", () => {
+  it("falls back when the server is unreachable or failing", () => {
+    expect(canFallBackLocally(new ApiError("Network error"))).toBe(true);
+    expect(canFallBackLocally(new ApiError("Bad", { status: 503 }))).toBe(true);
+    expect(canFallBackLocally(new TypeError("oops"))).toBe(true);
+  });
+
+  it("reports 4xx answers instead", () => {
+    [400, 401, 403, 404, 409].forEach((status) =>
+      expect(canFallBackLocally(new ApiError("No", { status }))).toBe(false)
+    );
+  });
+});
+
+describe("sync queue", () => {
+  it("doubles the retry delay up to the cap", () => {
+    expect(syncRetryDelay(0)).toBe(2000);
+    expect(syncRetryDelay(1)).toBe(4000);
+    expect(syncRetryDelay(3)).toBe(16000);
+    expect(syncRetryDelay(20)).toBe(5 * 60 * 1000);
+  });
+
+  it("queues a write due after the first delay", () => {
+    const [entry] = enqueueMutation([], "saveJob", { jobId: "j1" }, "a@x.ch");
+    expect(entry).toMatchObject({
+      type: "saveJob",
+      owner: "a@x.ch",
+      attempts: 0,
+    });
+    expect(entry.nextAttemptAt - Date.now()).toBeGreaterThan(1000);
+  });
+
+  it("cancels a pending opposite save/unsave of the same job", () => {
+    const queue = enqueueMutation([], "saveJob", { jobId: "j1" }, "a@x.ch");
+    expect(
+      enqueueMutation(queue, "unsaveJob", { jobId: "j1" }, "a@x.ch")
+    ).toEqual([]);
+    expect(
+      enqueueMutation(queue, "unsaveJob", { jobId: "j1" }, "b@x.ch")
+    ).toHaveLength(2);
+  });
+
+  it("keeps only the latest profile edit", () => {
+    let queue = enqueueMutation([], "updateProfile", { name: "A" }, "a@x.ch");
+    queue = enqueueMutation(queue, "updateProfile", { name: "B" }, "a@x.ch");
+    expect(queue.map((m) => m.payload.name)).toEqual(["B"]);
+  });
+});
+
+describe("fuzzy job search", () => {
+  const job = {
+    title: "Frontend Engineer",
+    company: "TechFlow AG",
+    location: "Zürich",
+    tags: ["React", "TypeScript"],
+    description: "Build our product.",
+  };
+  const score = (query) => jobSearchScore(job, parseSearchQuery(query));
+
+  it("folds diacritics and tolerates typos", () => {
+    expect(jobMatchesSearch(job, { term: "zurich" })).toBe(true);
+    expect(jobMatchesSearch(job, { term: "typescirpt" })).toBe(true);
+  });
+
+  it("joins hyphenated words", () =>
+    expect(
+      jobMatchesSearch(
+        { ...job, title: "Front-end Engineer" },
+        {
+          term: "frontend",
+        }
+      )
+    ).toBe(true));
+
+  it("matches synonyms and prefixes", () => {
+    expect(score("dev")).toBeGreaterThan(0);
+    expect(score("type")).toBeGreaterThan(0);
+  });
+
+  it("requires every word to match somewhere", () => {
+    expect(score("react")).toBeGreaterThan(0);
+    expect(score("react python")).toBe(0);
+  });
+
+  it("weights title matches above description matches", () =>
+    expect(score("frontend")).toBeGreaterThan(score("product")));
+
+  it("ranks exact matches above typos", () =>
+    expect(score("react")).toBeGreaterThan(score("raect")));
+});
+
+describe("buildFilterFacets", () => {
+  const jobs = [
+    { location: "Zurich", type: "Full-time", tags: ["React"], stage: "Seed" },
+    { location: "Geneva", type: "Full-time", tags: ["React", "Go"] },
+    { location: "Zurich", type: "Internship", tags: ["Go"] },
+  ];
+  const options = (facets, category) =>
+    facets.find((f) => f.category === category).options;
+
+  it("counts each option, most common first", () =>
+    expect(options(buildFilterFacets(jobs, []), "Location")).toEqual([
+      { value: "Zurich", count: 2 },
+      { value: "Geneva", count: 1 },
+    ]));
+
+  it("counts a category alongside the other categories' selections", () => {
+    const facets = buildFilterFacets(jobs, ["Skills:Go"]);
+    // OR within Skills: its own selection doesn't narrow its counts
+    expect(options(facets, "Skills")).toEqual([
+      { value: "Go", count: 2 },
+      { value: "React", count: 2 },
+    ]);
+    expect(options(facets, "Type")).toEqual([
+      { value: "Full-time", count: 1 },
+      { value: "Internship", count: 1 },
+    ]);
+  });
+
+  it("keeps selected values listed at 0", () =>
+    expect(
+      options(buildFilterFacets(jobs, ["Location:Basel"]), "Location")
+    ).toContainEqual({ value: "Basel", count: 0 }));
+});
+
+describe("computeJobMatch", () => {
+  const job = {
+    location: "Zurich",
+    type: "Full-time",
+    stage: "Seed",
+    tags: ["React", "TypeScript"],
+    requirements: ["React experience", "Machine Learning basics"],
+  };
+
+  it("scores the share of job skills the profile covers", () => {
+    const match = computeJobMatch(job, { skills: ["react", "TypeScript"] });
+    expect(match.score).toBe(75);
+    expect(match.matchedSkills).toEqual([
+      "React",
+      "TypeScript",
+      "React experience",
+    ]);
+    expect(match.missingSkills).toEqual(["Machine Learning basics"]);
+  });
+
+  it("needs every word of a multi-word skill", () => {
+    const skills = (list) =>
+      computeJobMatch(job, { skills: list }).matchedSkills;
+    expect(skills(["Machine Learning"])).toEqual(["Machine Learning basics"]);
+    expect(skills(["Machine Vision"])).toEqual([]);
+  });
+
+  it("weights in location, type and stage preferences", () => {
+    const preferences = {
+      locations: ["Geneva"],
+      types: ["Full-time"],
+      stages: ["Seed"],
+      remote: "onsite",
+    };
+    // type + stage of location + type + stage
+    expect(computeJobMatch(job, { preferences }).score).toBe(63);
+  });
+
+  it("returns null with nothing to compare", () =>
+    expect(computeJobMatch(job, {})).toBeNull());
+});
+
+describe("session tokens", () => {
+  const jwt = (claims) =>
+    `${btoa(JSON.stringify({ alg: "none" }))}.${btoa(JSON.stringify(claims))
+      .replace(/=+$/, "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")}.sig`;
+  const inSeconds = (s) => Math.floor(Date.now() / 1000) + s;
+
+  it("decodes base64url JWT payloads", () => {
+    // this payload's base64 has a "/", sent as "_"
+    expect(decodeJwt(jwt({ sub: "?>>?", exp: 1 }))).toEqual({
+      sub: "?>>?",
+      exp: 1,
+    });
+  });
+
+  it("returns null for opaque or malformed tokens", () => {
+    expect(decodeJwt("opaque-token")).toBeNull();
+    expect(decodeJwt("a.%%%.c")).toBeNull();
+    expect(decodeJwt(null)).toBeNull();
+  });
+
+  it("reads expiry with a margin", () => {
+    expect(isTokenExpired(jwt({ exp: inSeconds(-10) }))).toBe(true);
+    expect(isTokenExpired(jwt({ exp: inSeconds(30) }))).toBe(false);
+    expect(isTokenExpired(jwt({ exp: inSeconds(30) }), 60 * 1000)).toBe(true);
+  });
+
+  it("leaves tokens without exp to the server", () => {
+    expect(isTokenExpired("opaque-token")).toBe(false);
+    expect(isTokenExpired(jwt({ sub: "x" }))).toBe(false);
+  });
+});
+
+describe("can", () => {
+  const startup = (role) => ({ type: "startup", role });
+
+  it("lets guests do nothing", () => {
+    expect(can(null, "jobs:apply")).toBe(false);
+    expect(deniedMessage(null, "jobs:save")).toBe(
+      "Guest accounts can't save jobs."
+    );
+  });
+
+  it("gives students the candidate actions only", () => {
+    const student = { type: "student" };
+    expect(can(student, "jobs:apply")).toBe(true);
+    expect(can(student, "postings:view")).toBe(false);
+  });
+
+  it("maps team roles to startup permissions", () => {
+    expect(can(startup("interviewer"), "applicants:view")).toBe(true);
+    expect(can(startup("interviewer"), "applicants:review")).toBe(false);
+    expect(can(startup("recruiter"), "applicants:review")).toBe(true);
+    expect(can(startup("recruiter"), "team:manage")).toBe(false);
+    expect(can(startup("owner"), "team:manage")).toBe(true);
+    // accounts from before teams act as their startup's admin
+    expect(can(startup(undefined), "postings:create")).toBe(true);
+  });
+
+  it("gives platform admins every posting but no team", () => {
+    const admin = { type: "admin" };
+    expect(can(admin, "postings:all")).toBe(true);
+    expect(can(admin, "companies:all")).toBe(true);
+    expect(can(admin, "team:view")).toBe(false);
+    expect(can(admin, "jobs:apply")).toBe(false);
+  });
+});
+
+describe("invite codes", () => {
+  it("prefixes the folded organization name to unambiguous groups", () => {
+    expect(generateInviteCode("Zürich Labs")).toMatch(
+      /^ZURI-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/
+    );
+    expect(generateInviteCode("42")).toMatch(/^TEAM-/);
+  });
+
+  it("accepts codes typed in any case", () =>
+    expect(normalizeInviteCode("  tech-7k3p-q9xm ")).toBe("TECH-7K3P-Q9XM"));
+
+  it("expires at expiresAt", () => {
+    const at = (ms) => ({ expiresAt: new Date(Date.now() + ms).toISOString() });
+    expect(isInviteExpired(at(-1000))).toBe(true);
+    expect(isInviteExpired(at(60 * 1000))).toBe(false);
+  });
+
+  describe("acceptLocalInvite", () => {
+    const invite = (fields) => ({
+      code: "TEST-AAAA-BBBB",
+      role: "recruiter",
+      expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+      ...fields,
+    });
+    const store = (inv) =>
+      localStorage.setItem(
+        "organizations",
+        JSON.stringify([
+          { id: "org-test", name: "Test", members: [], invites: [inv] },
+        ])
+      );
+    const user = { email: "sam@example.com", name: "Sam" };
+    afterEach(() => localStorage.removeItem("organizations"));
+
+    it("adds the user with the invited role and uses up the code", () => {
+      store(invite({ email: "sam@example.com" }));
+      const org = acceptLocalInvite("test-aaaa-bbbb", user);
+      expect(org.members).toEqual([
+        expect.objectContaining({ email: user.email, role: "recruiter" }),
+      ]);
+      expect(org.invites).toEqual([]);
+    });
+
+    it("rejects invites sent to someone else", () => {
+      store(invite({ email: "alex@example.com" }));
+      expect(() => acceptLocalInvite("TEST-AAAA-BBBB", user)).toThrow(
+        /sent to alex@example\.com/
+      );
+    });
+
+    it("rejects expired codes", () => {
+      store(invite({ expiresAt: new Date(Date.now() - 1000).toISOString() }));
+      expect(() => acceptLocalInvite("TEST-AAAA-BBBB", user)).toThrow(
+        /isn't valid or has expired/
+      );
+    });
+  });
+});
+
+describe("buildInterviewIcs", () => {
+  const app = {
+    id: "app-1",
+    applicant: { name: "Sam Muster", email: "sam@example.com" },
+    interview: {
+      slots: [{ id: "s1", start: "2026-03-02T09:30:00.000Z" }],
+      confirmedSlotId: "s1",
+      durationMinutes: 45,
+      proposedBy: "Alex",
+      location: "Bahnhofstrasse 1, Zürich; 3rd floor",
+    },
+  };
+  const ics = (job = { title: "Frontend Engineer" }) =>
+    buildInterviewIcs({ app, job, companyName: "TechFlow AG" });
+
+  it("writes the confirmed slot in UTC with CRLF line ends", () => {
+    const lines = ics().split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("DTSTART:20260302T093000Z");
+    expect(lines).toContain("DTEND:20260302T101500Z");
+    expect(lines).toContain("UID:interview-app-1-s1@swissstartup-connect");
+    expect(lines.slice(-2)).toEqual(["END:VCALENDAR", ""]);
+  });
+
+  it("escapes text values", () =>
+    expect(ics()).toContain(
+      "LOCATION:Bahnhofstrasse 1\\, Zürich\\; 3rd floor"
+    ));
+
+  it("folds lines longer than 75 octets", () => {
+    const text = ics({ title: "Ü".repeat(60) });
+    text
+      .split("\r\n")
+      .forEach((line) =>
+        expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75)
+      );
+    const summary = text.slice(text.indexOf("SUMMARY:"));
+    expect(summary).toMatch(/^SUMMARY:[^\r]+\r\n [^\r]+/);
+    // unfolding restores the value
+    expect(summary.replace(/\r\n /g, "").split("\r\n")[0]).toBe(
+      `SUMMARY:Interview: ${"Ü".repeat(60)} at TechFlow AG`
+    );
+  });
+});
+
+describe("mergeMessages", () => {
+  const msg = (fields) => ({ applicationId: "app-1", body: "", ...fields });
+
+  it("adds new messages oldest first", () => {
+    const merged = mergeMessages(
+      [msg({ id: "m2", sentAt: "2026-01-02T00:00:00Z" })],
+      [
+        msg({ id: "m3", sentAt: "2026-01-03T00:00:00Z" }),
+        msg({ id: "m1", sentAt: "2026-01-01T00:00:00Z" }),
+      ]
+    );
+    expect(merged.map((m) => m.id)).toEqual(["m1", "m2", "m3"]);
+  });
+
+  it("replaces a pending copy with the server's by clientId", () => {
+    const pending = msg({
+      id: "msg-1",
+      clientId: "msg-1",
+      pending: true,
+      sentAt: "2026-01-01T00:00:00Z",
+    });
+    const saved = msg({
+      id: "srv-9",
+      clientId: "msg-1",
+      sentAt: "2026-01-01T00:00:01Z",
+    });
+    expect(mergeMessages([pending], [saved])).toEqual([saved]);
+  });
+
+  it("keys messages without a clientId by id", () =>
+    expect(
+      mergeMessages(
+        [msg({ id: "m1", body: "old", sentAt: "a" })],
+        [msg({ id: "m1", body: "edited", sentAt: "a" })]
+      ).map((m) => m.body)
+    ).toEqual(["edited"]));
+});
+
+describe("offline profile edits", () => {
+  // Full App: the user, queue and flush are threaded through its state.
+  const settle = () =>
+    act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    });
+  const button = (div, text) =>
+    [...div.querySelectorAll("button")].find(
+      (b) => b.textContent.trim() === text
+    );
+  const offline = () => Promise.reject(new Error("offline"));
+  const ok = () =>
+    Promise.resolve({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve("{}"),
+    });
+
+  beforeAll(() => {
+    global.IS_REACT_ACT_ENVIRONMENT = true;
+  });
+  afterEach(() => localStorage.clear());
+
+  it("keeps queued writes owned by the signed-in email", async () => {
+    localStorage.setItem("token", "t");
+    localStorage.setItem(
+      "user",
+      JSON.stringify({
+        name: "Sam",
+        email: "sam@example.com",
+        type: "student",
+        profile: {},
+      })
+    );
+    global.fetch = jest.fn(offline);
+    const div = document.createElement("div");
+    const root = createRoot(div);
+    await act(async () => root.render(<App />));
+    await settle();
+
+    await act(async () => button(div, "Sam").click());
+    const email = div.querySelector('input[type="email"]');
+    await act(async () => {
+      Object.getOwnPropertyDescriptor(
+        HTMLInputElement.prototype,
+        "value"
+      ).set.call(email, "sam@new.example.com");
+      email.dispatchEvent(new Event("input", { bubbles: true }));
+    });
+    await act(async () => button(div, "Save Changes").click());
+    await settle();
+    expect(JSON.parse(localStorage.getItem("user")).email).toBe(
+      "sam@example.com"
+    );
+    expect(
+      JSON.parse(localStorage.getItem("syncQueue")).map((m) => m.type)
+    ).toEqual(["updateProfile"]);
+
+    global.fetch = jest.fn(ok);
+    await act(async () => window.dispatchEvent(new Event("online")));
+    await settle();
+    expect(JSON.parse(localStorage.getItem("syncQueue"))).toEqual([]);
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining("/users/profile"),
+      expect.objectContaining({ method: "PUT" })
+    );
+    act(() => root.unmount());
+  });
+});